@@ -453,9 +453,12 @@ const types = [
 	"local function f(a: () => (string) | () => (number)) local x : number | string = a() end",
 	"local function f(a: (number) => (number) | (string) => (string)); local x: any; a(x) end",
 	"local function f(x, y: number | nil, string | nil) local a : number | string | nil = x or y end",
-	// TODO This should work in the future, since we know because of the short circuit or that
-	// either x is truthy or we pick y.
-	//"local function f(x, y: number | nil, string) local a : number | string = x or y end",
+	"local function f(x, y: number | nil, string) local a : number | string = x or y end",
+	"local function f(x: number | nil) local n: number = x or 0 end",
+	"local function f(x: {a: number} | nil) local n: number | nil = x and x.a end",
+	"local function f(x: number) local n: string = x and 'a' end",
+	"local function f(x: boolean | nil) local b: boolean = x or false end",
+	"local x: number = nil or 1",
 	"local function f(x: table | {} | {oi: number}): number return #x end",
 	"local function f(a: table | {}) end; f{} f({})",
 	"local f: (number | string) => (boolean | nil) = function(a: number | string): boolean | nil; return true; end",
@@ -478,6 +481,183 @@ const types = [
 	"declare f: (...number) => (); f(1, 2, 3, 4)",
 	"declare f: number; local x, y : number, nil = f",
 	"declare f: () => (number); local x, y : number, nil = f()",
+	// generics
+	"local function id<T>(x: T): T return x end; local y: number = id(1); local z: string = id('a')",
+	"local function f<T>(x: T) local y: T = x; local z: any = y end",
+	"local function apply<T, U>(x, f: T, (T) => (U)): U return f(x) end; local s: string = apply(1, function(x: number): string return 'a' end)",
+	"local function box<T>(x: T): {value: T} return {value = x} end; local n: number = box(1).value",
+	"local function first<T>(x, y: T, T): T return x end; local n: number | string = first(1, 'a')",
+	"local function f<T>(x, y: T | nil, T): T return y end; local n: number = f(nil, 1)",
+	"local f: <T>(T) => (T) = function<U>(x: U): U return x end; local n: number = f(1)",
+	"local f: (number) => (number) = function<U>(x: U): U return x end",
+	"local function f<T>(): T end; local x: number = f()",
+	"local function f<T>(x: T): <U>(U) => (T) return function<U>(y: U): T return x end end",
+	// type aliases
+	"type Point = {x: number, y: number}; local p: Point = {x = 1, y = 2}; local n: number = p.x",
+	"type Num = number | string; local x: Num | nil = nil; x = 'a'",
+	"type F = (number) => (number); local function g(f: F): number return f(1) end",
+	"local function f<T>(x: T) type Box = {value: T}; local b: Box = {value = x} end",
+	"local function type(x) end; type(1); type 'a'",
+	"type = 1",
+	// arrays
+	"local xs: {number} = {1, 2, 3}; local n: number = xs[1] + #xs",
+	"local xs: {number} = {}; xs[1] = 2",
+	"local xs: {number} = {1, 2}; xs[#xs] = nil",
+	"local xs = {1, 'a'}; local y: number | string = xs[2]",
+	"local function f(...: number) local xs: {number} = {...} end",
+	"local function f(): number, string return 1, 'a' end; local xs: {number | string} = {f()}",
+	"local x: {{number}} = {{1}, {2, 3}}; local y: number = x[1][2]",
+	"local xs: table = {1}; local ys: {} = {1}",
+	"local xs: {number} = {1}; for i, v in ipairs(xs) do local a: number = i + v end",
+	"local function map<T, U>(xs, f: {T}, (T) => (U)): {U} local r: {U} = {}; for i, x in ipairs(xs) do r[i] = f(x) end return r end; local ys: {string} = map({1, 2}, function(x: number): string return 'a' end)",
+	// maps
+	"local m: {[string]: number} = {}; m.a = 1; m['b'] = 2; local x: number = m.c + m['d']",
+	"local m: {[string]: number} = {a = 1, b = 2}",
+	"local m: {[string]: number} = {}; for k in pairs(m) do m[k] = nil end",
+	"local m: {[number]: string} = {'a', [3] = 'b'}; local s: string = m[2]",
+	"local m = {[1] = 'a', [3] = 'b'}; local s: string = m[2]",
+	"local m = {['a'] = 1}; local n: number = m.a",
+	"local m: {[string]: number, n: number} = {n = 1}; local y: number = m.n",
+	"local r: {a: number} = {a = 1}; local m: {[string]: number} = r; local r2: {a: number} = m",
+	"local xs: {number} = {1}; local m: {[number]: number} = xs; local ys: {number} = m",
+	"local function vals<K, V>(m: {[K]: V}): {V} return {} end; local m: {[string]: number} = {}; local vs: {number} = vals(m)",
+	// conditions
+	"while 1 do end",
+	"local x : string = 'a'; while x do end",
+	"if 1 then end",
+	"local function f(x: {y: number} | nil) if x then local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) while x do local n: number = x.y; x = nil end end",
+	"local function f(m: {[string]: {y: number} | nil}) local x = m.a; if x then local n: number = x.y end end",
+	"local function f(x: boolean | nil) repeat until x end",
+	// nil narrowing
+	"local function f(x: {y: number} | nil) if x ~= nil then local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) if nil ~= x then local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) if x == nil then else local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) if x == nil then return end local n: number = x.y end",
+	"local function f(x: {y: number} | nil) if x == nil then return elseif x.y > 1 then return end local n: number = x.y end",
+	"local function f(x: {y: number} | nil) if not x then return end local n: number = x.y end",
+	"local function f(x: {y: number} | nil) if x ~= nil and x.y > 1 then end end",
+	"local function f(x: {y: number} | nil) local b: boolean = x == nil or x.y > 1 end",
+	"local function f(x: {next: {next: any} | nil} | nil) while x ~= nil do local y = x.next; x = nil end end",
+	"local function f(x: number | nil) if x == nil then local y: nil = x end end",
+	"local function f(x: number | nil) while true do if x == nil then break end local n: number = x + 1 end end",
+	// type() narrowing
+	"local function f(v: number | string | {a: number}) if type(v) == 'string' then local s: string = v elseif type(v) == 'table' then local n: number = v.a else local n: number = v end end",
+	"local function f(v: number | string) if 'number' == type(v) then local n: number = v + 1 end end",
+	"local function f(v: number | string) if type(v) ~= 'number' then local s: string = v else local n: number = v end end",
+	"local function f(v: number | string) if type(v) == 'number' then return end local s: string = v end",
+	"local function f(v) if type(v) == 'number' then local n: number = v + 1 end end",
+	"local function f(v: (number) => (number) | number) if type(v) == 'function' then v(1) end end",
+	// optional types
+	"local function f(x: ?number): number return x or 0 end; f(nil); f(1); f()",
+	"local x: {name?: string, n: number} = {n = 1}; local s: ?string = x.name",
+	"local x: ?{a: number} = nil; if x then local n: number = x.a end",
+	"local x: ?number | string = 'a'; x = nil; x = 1",
+	"local x: {?number} = {1}",
+	"local f: ?(number) => (number) = nil",
+	// literal types
+	"local m: 'read' | 'write' = 'read'; m = 'write'",
+	"local m: 'read' | 'write' = 'read'; local s: string = m",
+	"local n: 1 | 2 = 2; local x: number = n + 1",
+	"local function f(m: 'r' | 'w') end; f('r')",
+	"type Mode = 'r' | 'w'; local function f(): Mode return 'r' end; local m = f(); local n: Mode = m",
+	"local x = 'a'; x = 'b'",
+	"local t = {a = 1}; t.a = 2",
+	"local t: {mode: 'r'} = {mode = 'r'}",
+	"local t: {1 | 2} = {1, 2}",
+	// iterators
+	"local m: {[string]: number} = {}; for k, v in pairs(m) do local s: string = k; local n: number = v end",
+	"local xs: {string} = {}; for k, v in pairs(xs) do local n: number = k; local s: string = v end",
+	"local r = {a = 1, b = 2}; for k, v in pairs(r) do local s: string = k; local n: number = v end",
+	"local t: table = {}; for k, v in pairs(t) do local n: number = k; local s: string = v end",
+	"local t: table = {}; for i, v in ipairs(t) do local n: number = i end",
+	"local t: any = {}; for k, v in pairs(t) do end",
+	"local m: {[string]: number} = {}; for k, v in next, m do local s: string = k end",
+	"for i, v in ipairs({1, 2}) do v = 5 end",
+	// methods
+	"local a = {} function a:b() end; a:b()",
+	"local a = {} function a.f(x: number): number return x end; local y: number = a.f(1)",
+	"local a = {n = 1} function a:add(x: number): number return self.n + x end; local y: number = a:add(2)",
+	"local a = {b = {}} function a.b:c(): number return 1 end; local x: number = a.b:c()",
+	"local a = {} function a:id<T>(x: T): T return x end; local n: number = a:id(1)",
+	"local a = {} function a.f(s): number return 1 end; local b: {f: (any) => (number)} = a; local n: number = b:f()",
+	"local a = {n = 1} function a:get(): number return self.n end; local b = a; b = a",
+	// metatables
+	"local P = {}; P.__index = P; function P.new(x: number): any return setmetatable({x = x}, P) end; function P:len(): number return self.x end",
+	"local P = {}; P.__index = P; local p = setmetatable({x = 1}, P); function P:len(): number return self.x end; local n: number = p:len()",
+	"local P = {}; P.__index = P; local p = setmetatable({x = 1}, P); function P:f() self.x = 2 end",
+	"local C = {}; C.__index = C; function C:m() end; function C.new() return setmetatable({}, C) end",
+	"local P = {}; P.__index = P; function P:len() return self.x end; function P:double() return 2 * self:len() end; function P.new(x: number) return setmetatable({x = x}, P) end; local n: number = P.new(1):double()",
+	"local C = {}; C.__index = C; local k = 1; function C:m(): number return self.x + k end; function C.new() return setmetatable({x = 1}, C) end",
+	"local mt = {__index = {a = 1}}; local t = setmetatable({}, mt); local n: number = t.a",
+	"local mt = {__index = function(t, k: any, any): string return 'a' end}; local t = setmetatable({}, mt); local s: string = t.a",
+	"local A = {}; A.__index = A; setmetatable(A, A); local x = A.b",
+	"local t = setmetatable({}, nil)",
+	// metamethods
+	"local V = {}; V.__index = V; V.__add = function(a, b: any, any): number return 1 end; local v = setmetatable({}, V); local n: number = v + v",
+	"declare f: (any, number) => (string); local v = setmetatable({}, {__add = f}); local s: string = v + 1",
+	"declare f: (any, string) => (string); local v = setmetatable({}, {__concat = f}); local s: string = v .. 'a'",
+	"declare f: (any, any) => (boolean); local v = setmetatable({}, {__lt = f}); local b: boolean = v < v; local c: boolean = v > v",
+	"declare f: (any) => (number); local v = setmetatable({}, {__len = f}); local n: number = #v",
+	"declare f: (any) => (string); local v = setmetatable({}, {__unm = f}); local s: string = -v",
+	"declare f: (any, number) => (string); local v = setmetatable({}, {__call = f}); local s: string = v(1)",
+	"local C = {}; C.__call = function(self, x: any, number): number return x end; local c = setmetatable({}, C); local n: number = c(1)",
+	"declare v: {metamethod __add: (any, number) => (string)}; local s: string = v + 1",
+	"declare v: {metamethod __concat: (any, string) => (string)}; local s: string = v .. 'a'",
+	"declare v: {metamethod __lt: (any, any) => (boolean)}; local b: boolean = v < v; local c: boolean = v > v",
+	"declare v: {metamethod __len: (any) => (number)}; local n: number = #v",
+	"declare v: {metamethod __unm: (any) => (string)}; local s: string = -v",
+	"declare v: {metamethod __call: (any, number) => (string)}; local s: string = v(1)",
+	"declare v: {metamethod __index: {x: number}}; local n: number = v.x",
+	"type Vec = {x: number, metamethod __add: (any, any) => ({x: number})}; local function add(a, b: Vec, Vec): number return (a + b).x end",
+	"declare f: (any, number) => (string); local v: {metamethod __add: (any, number) => (string)} = setmetatable({}, {__add = f, __sub = f})",
+	"local t: {metamethod: number} = {metamethod = 1}",
+	// return type inference
+	"local function f() return 1 end; local x: number = f()",
+	"local function f(b: boolean) if b then return 1 end end; local x: ?number = f(true)",
+	"local function f(b: boolean) if b then return 1 else return 'a' end end; local x: number | string = f(true)",
+	"local function fact(n: number) if n == 0 then return 1 end return n * fact(n - 1) end; local x: number = fact(3)",
+	"local function f() end; local x = f(); local y: nil = x",
+	"local f = function() return 'a', 2 end; local a, b: string, number = f()",
+	"local t = {}; function t.f() return 1 end; local n: number = t.f()",
+	"local function f() return 1 end; local x = f(); x = 2",
+	"local function iter(t, i: {number}, number): ?number, string return nil, 'a' end; for i, s in iter, {1}, 0 do local n: number = i; local t: string = s end",
+	"local function range(n: number): () => (?number) return function(): ?number return nil end end; for i in range(3) do local x: number = i end",
+	"local function pairs(): (any) => (?string) return function(x: any): ?string return nil end end; for s in pairs() do local t: string = s end",
+	"local m: ?'r' = nil; if type(m) == 'string' then local n: 'r' = m end",
+	// contextual typing
+	"local function each(t, f: {number}, (number) => ()) end; each({1}, function(x) local n: number = x end)",
+	"local function map<T, U>(t, f: {T}, (T) => (U)): {U} return {} end; local r: {number} = map({1}, function(x) return x * 2 end)",
+	"local f: (number, string) => () = function(a, b) local s: string = b end",
+	"local f: ?(number) => () = function(a) local n: number = a end",
+	"local t: {f: (number) => ()} = {f = function(a) local n: number = a end}; t.f = function(a) local m: number = a end",
+	"local t: {(number) => ()} = {function(a) local n: number = a end}",
+	"local function g(): (number) => () return function(a) local n: number = a end end",
+	// open tables
+	"local t = {}; t.x = 1; local n: number = t.x",
+	"local t = {a = 1}; t.b = 'x'; local r: {a: number, b: string} = t",
+	"local t = {}; t.inner = {}; t.inner.x = 1; local n: number = t.inner.x",
+	"local t = {b = {}}; t.b.x = 1",
+	"local function g() local t = {}; t.x = 1; return t end; local n: number = g().x",
+	"local P = {}; P.__index = P; local p = setmetatable({}, P); P.x = 1",
+	// tuples
+	"local t: {number, string} = {1, 'a'}; local n: number = t[1]; local s: string = t[2]",
+	"local function f(): number, string return 1, 'a' end; local t: {number, string} = {f()}",
+	"local function f(): number, string return 1, 'a' end; local t: {number, string} = {f(), 'b'}",
+	"local t: {number, ?string} = {1}",
+	"local t: {number, ...string} = {1, 'a', 'b'}; local s: ?string = t[5]",
+	"local t: {number, string} = {1, 'a'}; local n: number = #t; local a: {number | string} = t",
+	"local t: {number, string} = {1, 'a'}; for i, v in ipairs(t) do local x: number | string = v end",
+	"local r: {p: {number, string}} = {p = {1, 'a'}}",
+	"local function f() end; local a, b = f(), 1; local c: nil = a",
+	// casts
+	"local x: number | string = 1; local n: number = (x :: number)",
+	"local x: any = 1; local s: string = (x :: string)",
+	"local x: number = 1; local s: any = (x :: any)",
+	"local x: number = 1; local s: number | string = (x :: number | string)",
+	"local f = (function(a) local n: number = a end :: (number) => ())",
+	"local t = {a = 1}; local n: number = (t :: {a: number}).a",
+	"local function f(): number, string return 1, 'a' end; local a, b = (f() :: number); local c: nil = b",
 	//
 	": number return 1",
 ];
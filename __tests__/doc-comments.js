@@ -0,0 +1,122 @@
+// @flow
+/* eslint-env jest */
+import { checkString } from "../src/lua-type-check";
+import { CodeError, errors } from "../src/errors";
+import { parse } from "../src/lua-parse";
+
+// Plain Lua code with LuaLS annotations, checked with the docComments feature
+const accepted = [
+	// functions
+	"---@param x number\n---@return number\nlocal function f(x) return x end\nlocal y = f(1)",
+	"---@param x? integer description\nlocal function f(x) end\nf()",
+	"---@param ... number\nlocal function f(...) end\nf(1, 2)",
+	"---@generic T\n---@param x T\n---@return T\nlocal function id(x) return x end\nlocal n = id(1) + 1",
+	// only function statements and `local f = function` take @param
+	"---@param a number\nlocal x = pcall(function(a) end, 'a')",
+	"---@param a number\nlocal function f(a) end\nlocal g = function(a) return a .. 'x' end",
+
+	// local statements
+	"---@type number\n\nlocal x = 'a'",
+	"---@type table<string, number>\nlocal t = {}\nt.a = 1",
+	"---@type (number|string)[]\nlocal t = {1, 'a'}",
+	"---@type fun(x: number): number, string\nlocal f = function(x) return x, 'a' end",
+	"---@type [number, 'a']\nlocal t = {1, 'a'}",
+
+	// only comments on lines of their own are annotations
+	"local x = 1 ---@type string\nlocal y = 2\n---@type number\nlocal n = y",
+
+	// classes
+	"---@class Point\n---@field x number\n\n---@class Point3: Point\n---@field z number\n\n---@type Point3\nlocal p = {x = 1, z = 2}",
+
+	// unknown types are any, and bad comments are ignored
+	"---@type Point\nlocal p = {}",
+	"---@param m OtherFileClass\nlocal function f(m) end\nf(1)",
+	"---@generic T\n---@param name `T`\nlocal function new(name) end\nnew('a')",
+	"---@param x fun(\nlocal function f(x) end\nf(1)",
+];
+
+// Pairs of [code, error]
+const rejected = [
+	// functions
+	[
+		"---@param x number\n---@return number\nlocal function f(x) return x end\nlocal y = f('a')",
+		errors.invalidCallArgs,
+	],
+	[
+		"--- Adds one\n---@param x number\nlocal function f(x) return x + 1 end\nf('a')",
+		errors.invalidCallArgs,
+	],
+	[
+		"local M = {}\n---@param x number\nfunction M.f(x) end\nM.f('a')",
+		errors.invalidCallArgs,
+	],
+	[
+		"---@param x number\nlocal f = function(x) end\nf('a')",
+		errors.invalidCallArgs,
+	],
+	["---@return string\nlocal function f() return 1 end", errors.invalidReturn],
+	[
+		"---@param cb fun(x: number): string\nlocal function each(cb) end\neach(function(x) return x end)",
+		errors.invalidCallArgs,
+	],
+
+	// local statements
+	["---@type 'a' | 'b'\nlocal t = 'c'", errors.cannotAssignTypes],
+
+	// classes
+	[
+		"---@class Point\n---@field x number\n\n---@type Point\nlocal p = {}",
+		errors.cannotAssignTypes,
+	],
+];
+
+const options = { luaVersion: "5.3", features: { docComments: true } };
+
+// Pairs of [code, warning], the statement after the comment is still parsed
+const warned = [
+	[
+		"---@param m OtherFileClass\nlocal function f(m) end",
+		errors.unknownDocType,
+	],
+	["---@param x fun(\nlocal function f(x) end", errors.invalidDocComment],
+	["---@class\nlocal function f(x) end", errors.invalidDocComment],
+];
+
+function error(code: string): mixed {
+	try {
+		checkString(code, options);
+	} catch (e) {
+		return e;
+	}
+	return null;
+}
+
+describe("accepted doc comments", () => {
+	accepted.forEach(code =>
+		it(code, () => expect(() => checkString(code, options)).not.toThrow())
+	);
+});
+
+describe("rejected doc comments", () => {
+	rejected.forEach(([code, type]) =>
+		it(code, () => {
+			const e = error(code);
+			expect(e).toBeInstanceOf(CodeError);
+			expect(e).toHaveProperty("type", type);
+		})
+	);
+});
+
+describe("warned doc comments", () => {
+	warned.forEach(([code, type]) =>
+		it(code, () => {
+			const diagnostics = [];
+			const chunk = parse(code, null, options, diagnostics);
+			expect(diagnostics.map(e => e.type)).toEqual([type]);
+			expect(diagnostics[0].isWarning()).toBe(true);
+			expect(chunk.body.statements.map(s => s.type)).toEqual([
+				"LocalFunctionStatement",
+			]);
+		})
+	);
+});
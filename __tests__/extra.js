@@ -1,11 +1,109 @@
 // @flow
 /* eslint-env jest */
-import { checkString as check } from "../src/lua-type-check";
+import { check, checkString } from "../src/lua-type-check";
+import { CodeError, errors } from "../src/errors";
+import { ConstVisitor } from "../src/const-visitor";
+import { generate } from "../src/lua-generator";
+import { parse } from "../src/lua-parse";
 import { tokenize } from "../src/lua-tokenize";
+import { visit } from "../src/visitor";
 
 describe("extra tests", () => {
 	it("works without storing comments", () =>
-		expect(() => check("a = 1 -- comment", { comments: false })).not.toThrow());
+		expect(() =>
+			checkString("a = 1 -- comment", { comments: false })
+		).not.toThrow());
+	it("type errors use alias names", () => {
+		const diagnostics = [];
+		const code = "type Num = number; local x: Num = 'a'";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		check(chunk, undefined, diagnostics);
+		expect(diagnostics[0].toString()).toContain(
+			'cannot assign value of type «"a"» to variable of type «Num»'
+		);
+	});
+	it("casts are removed from the generated code", () => {
+		const code = "local x = (1 :: number)\nlocal y = (x ::\n\tnumber) + 1";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		const lua = generate(chunk);
+		expect(lua).not.toContain("::");
+		expect(lua.split("\n").length).toBe(3);
+		expect(() => parse(lua, null, { luaVersion: "5.1" })).not.toThrow();
+	});
+	it("types are written as doc comments without moving the code", () => {
+		const code = [
+			"declare print: (...any) => ()",
+			"",
+			"",
+			"",
+			"",
+			"",
+			"",
+			"",
+			"local function f<T>(x, ...: T, ...number): T",
+			"\treturn x",
+			"end",
+			"",
+			"local t: {[string]: number}, {number, string} = {}, {1, 'a'}",
+			"local function g(x: number) end",
+			"local h = function(x: ?string) end local y: number = 1",
+		].join("\n");
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		const lua = generate(chunk, { docComments: true });
+		expect(lua.split("\n")).toEqual(
+			generate(chunk)
+				.split("\n")
+				.map(line => (line.trim() === "" ? expect.any(String) : line))
+		);
+		expect(lua).toContain(
+			"---@generic T\n---@param x T\n---@param ... number\n---@return T\nlocal function"
+		);
+		expect(lua).toContain(
+			"end\n---@type table<string, number>, [number, string]\nlocal"
+		);
+		// declares annotate an assignment that never runs
+		expect(lua).toContain(
+			"if false then\n---@type fun(...: any)\nprint = nil end\n"
+		);
+		// without empty lines before them the types are left out
+		expect(lua).not.toContain("---@param x number");
+		expect(lua).not.toContain("---@param x string");
+		expect(() =>
+			checkString(lua, { luaVersion: "5.3", features: { docComments: true } })
+		).not.toThrow();
+	});
+	it("doc comments are not written in multiline strings", () => {
+		const code = [
+			"local s = [[",
+			"",
+			"",
+			"]] declare n: number local function f(x: number) end",
+			"",
+			"",
+			"local function g(x: number) end",
+		].join("\n");
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		const lua = generate(chunk, { docComments: true });
+		expect(lua).toContain("[[\n\n\n]]");
+		expect(lua).not.toContain("---@type number");
+		// the lines after the string still are where they were
+		expect(lua.split("\n").length).toBe(7);
+		expect(lua.split("\n")[3]).toContain("local function  f");
+		expect(lua).toContain("---@param x number\nlocal function  g");
+	});
+	it("doc comments leave out the fields LuaLS can't name", () => {
+		const code = "\n\n---@type {a.b: number, c: string}\nlocal t = {c = 'a'}";
+		const chunk = parse(code, null, { features: { docComments: true } });
+		expect(generate(chunk, { docComments: true })).toContain(
+			"---@type {c: string}\nlocal"
+		);
+	});
+	it("type annotations take precedence over doc comments", () =>
+		expect(() =>
+			checkString("---@type string\nlocal x: number = 1", {
+				features: { typeCheck: true, docComments: true },
+			})
+		).not.toThrow());
 	it("tokenize can process two instances in parallel", () => {
 		const g1 = tokenize("a + 1", null, {});
 		const g2 = tokenize("b - 2", null, {});
@@ -19,3 +117,114 @@ describe("extra tests", () => {
 		expect(g1.next().done).toBe(true);
 	});
 });
+
+describe("diagnostics", () => {
+	it("type checker collects all errors", () => {
+		const diagnostics = [];
+		const code = "local x : number = 'a'\nlocal y = 1 + 'b'\nlocal z = -{}";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		expect(() => check(chunk, undefined, diagnostics)).not.toThrow();
+		expect(diagnostics.map(e => e.loc.start.line)).toEqual([1, 2, 3]);
+	});
+	it("const visitor collects all errors", () => {
+		const diagnostics = [];
+		const code = "const x = 1\nx = 2\nx = 3";
+		const chunk = parse(code, null, { features: { const_: true } });
+		visit(chunk, [new ConstVisitor(diagnostics)]);
+		expect(diagnostics.map(e => e.loc.start.line)).toEqual([2, 3]);
+	});
+	it("type errors are located", () => {
+		const cases = [
+			["local x : number = 1; x()", errors.cannotCall],
+			["local function f(a: number) end; f('a')", errors.invalidCallArgs],
+			["local x : number = 1; local y = x.a", errors.invalidIndex],
+			["local function f(): number return 'a' end", errors.invalidReturn],
+			["if 1 then end", errors.alwaysTruthyCondition],
+			["for i = 1, 'a' do end", errors.invalidForLimit],
+			["local x = {1}; local y = x.a.b", errors.invalidIndex],
+			["local x = {1}; local y = x['a']", errors.invalidArrayIndex],
+			["local x = {[1] = 'a'}; local y = x['a']", errors.invalidKey],
+			["local x: number = 1; local y = (x :: string)", errors.invalidCast],
+		];
+		cases.forEach(([code, type]) => {
+			const diagnostics = [];
+			const chunk = parse(code, null, { features: { typeCheck: true } });
+			check(chunk, undefined, diagnostics);
+			expect(diagnostics.length).toBe(1);
+			expect(diagnostics[0]).toBeInstanceOf(CodeError);
+			expect(diagnostics[0].type).toBe(type);
+		});
+	});
+	it("optional types are printed in the short form", () => {
+		const diagnostics = [];
+		const code =
+			"local x: {a?: number | string} = {}; local y: number = x; local z: number = x.a";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		check(chunk, undefined, diagnostics);
+		expect(diagnostics.map(e => e.extra_info)).toEqual([
+			["{a?: number | string}", "number"],
+			["number | string | nil", "number"],
+		]);
+	});
+	it("recursive table types are printed once", () => {
+		const diagnostics = [];
+		const code = "local a = {} function a:f() end; local n: number = a";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		check(chunk, undefined, diagnostics);
+		expect(diagnostics.map(e => e.extra_info)).toEqual([
+			["{f: ({...}) => ()}", "number"],
+		]);
+	});
+	it("metamethods are printed as fields", () => {
+		const diagnostics = [];
+		const code =
+			"declare v: {x: number, metamethod __len: (any) => (number)}; local n: number = v";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		check(chunk, undefined, diagnostics);
+		expect(diagnostics.map(e => e.extra_info)).toEqual([
+			["{x: number, metamethod __len: (any) => (number)}", "number"],
+		]);
+	});
+	it("type lists are printed without the missing values", () => {
+		const diagnostics = [];
+		const code =
+			"local f: (number) => (number, string) = function(x: number): number return x end\nlocal function g(): number return end";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		check(chunk, undefined, diagnostics);
+		expect(diagnostics.map(e => e.extra_info)).toEqual([
+			["(number) => (number)", "(number) => (number, string)"],
+			["void", "number"],
+		]);
+	});
+	it("always truthy conditions are warnings", () => {
+		const diagnostics = [];
+		const code = "local x = {}; if x then end; while x ~= nil do end";
+		const chunk = parse(code, null, { features: { typeCheck: true } });
+		check(chunk, undefined, diagnostics);
+		expect(diagnostics.length).toBe(1);
+		expect(diagnostics[0].isWarning()).toBe(true);
+		expect(diagnostics[0].toString()).toContain(
+			"warning: condition of type «{}» is always truthy"
+		);
+	});
+	it("parser recovers from syntax errors", () => {
+		const diagnostics = [];
+		const code =
+			"local a = = 1\nlocal b = 2\nif then\n  c()\nend\nd = (\nlocal e = 3";
+		const chunk = parse(code, null, {}, diagnostics);
+		expect(diagnostics.map(e => e.loc.start.line)).toEqual([1, 3, 7]);
+		expect(chunk.body.statements.map(s => s.type)).toEqual([
+			"ErrorStatement",
+			"LocalStatement",
+			"ErrorStatement",
+			"ErrorStatement",
+			"LocalStatement",
+		]);
+	});
+	it("parser recovers from stray block closers", () => {
+		const diagnostics = [];
+		const chunk = parse("a()\nend\nb()", null, {}, diagnostics);
+		expect(diagnostics.length).toBe(1);
+		expect(chunk.body.statements.length).toBe(2);
+	});
+});
@@ -264,6 +264,9 @@ const extra = [
 	"const x = 1;", // unsupported unless feature enabled
 ];
 
+// :: is tokenized for casts, but still isn't a label in Lua 5.1
+const lua51_types = ["::a:: x = 1"];
+
 const types = [
 	"function f(): number return end",
 	"local a = 12 : number",
@@ -284,8 +287,6 @@ const types = [
 	"local x = 1 + '1'",
 	//"local x : number = y", // XXX should these be allowed?
 	//"local x : number = f()",
-	"while 1 do end",
-	"local x : string = 'a'; while x do end",
 	"while true do local x : number = '1' end",
 	"local x : number = 1; while false do local x : string = 'a' end; local z = x .. 'b'",
 	"local x : number = 1; repeat local x : string = 'a' until false; local z = x .. 'b'",
@@ -307,7 +308,6 @@ const types = [
 	"local x : number = 1; x.a()",
 	"a.b(1 + 'a')",
 	"if true then a = 1 + 'a' end",
-	"if 1 then end",
 	"for i = 1, 2 do a = 'a' + 1 end",
 	"for i = 1, '2' do end",
 	"for i = 1, 2 do i = 'a' end",
@@ -373,6 +373,152 @@ const types = [
 	"declare f: () => (number); local x, y : number, string = f()",
 	// This shouldn't work since ...number should be a list of numbers
 	//"declare f: (...number) => (); f(1, 2, nil, 3)",
+	// generics
+	"local function id<T>(x: T): T return x end; local y: string = id(1)",
+	"local function f<T>(x: T): T return x + 1 end",
+	"local function f<T>(x: T) local y: number = x end",
+	"local function f<T, U>(x, y: T, U): T return y end",
+	"local function apply<T, U>(x, f: T, (T) => (U)): U return f(x) end; local s: number = apply(1, function(x: number): string return 'a' end)",
+	"local function first<T>(x, y: T, T): T return x end; local n: number = first(1, 'a')",
+	"local f: (number) => (string) = function<U>(x: U): U return x end",
+	"local f: <T>(T) => (T) = function(x: number): number return x end",
+	"local x: T = 1",
+	"local function f<T>(x: T) end; local y: T = 1",
+	"local function f<number>(x: number) end",
+	// type aliases
+	"type Point = {x: number, y: number}; local p: Point = {x = 1}",
+	"type Num = number; local x: Num = 'a'",
+	"do type N = number end; local x: N = 1",
+	"type number = string",
+	"type N = M",
+	// arrays
+	"local xs = {1, 2, 3}; local s: string = xs[1]",
+	"local xs: {number} = {}; xs[1] = 'a'",
+	"local xs: {number} = {1}; local y = xs['a']",
+	"local xs: {string} = {1}",
+	"local xs: {number} = {a = 1}",
+	"local xs: {string} = {'a'}; for i, v in ipairs(xs) do local a: number = v end",
+	"local function map<T, U>(xs, f: {T}, (T) => (U)): {U} return {} end; local ys: {number} = map({1, 2}, function(x: number): string return 'a' end)",
+	// maps
+	"local m: {[string]: number} = {}; m.a = 'x'",
+	"local m: {[string]: number} = {}; m['a'] = 'x'",
+	"local m: {[string]: number} = {}; local x = m[1]",
+	"local m: {[string]: number} = {a = 1, b = 'x'}",
+	"local m = {[1] = 'a', [3] = 'b'}; local s: number = m[2]",
+	"local m: {[string]: number} = {}; local r: {a: string} = m",
+	"local m: {[string]: number} = {}; local xs: {number} = m",
+	"local x: {[string]: number} = {1}",
+	"local function f(x: {y: number} | nil) if x then else local n: number = x.y end end",
+	// nil narrowing
+	"local function f(x: {y: number} | nil) if x ~= nil then end local n: number = x.y end",
+	"local function f(x: {y: number} | nil) if x == nil then local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) if x ~= nil then x = nil; local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) if x ~= nil then if true then x = nil end local n: number = x.y end end",
+	"local function f(x: {y: number} | nil) if x == nil then x = nil end local n: number = x.y end",
+	"local function f(x: number | nil) if x ~= nil then local x: string | nil = nil; local z: string = x end end",
+	"local function f(x: number | nil) if x == nil then return end local x: string | nil = nil; local z: string = x end",
+	// and/or
+	"local function f(x: number | nil) local n: number = x or nil end",
+	"local function f(x: {a: number} | nil) local n: number = x and x.a end",
+	"local function f(x: number | nil) local n: string = x and 'a' end",
+	// type() narrowing
+	"local function f(v: number | string) if type(v) == 'number' then local s: string = v end end",
+	"local function f(v: number | string) if type(v) == 'string' then else local s: string = v end end",
+	"local function f(v: number | string) local type = function(x) return 'string' end if type(v) == 'string' then local s: string = v end end",
+	// optional types
+	"local function f(x: ?number): number return x end",
+	"local x: {name?: string, n: number} = {n = 1}; local s: string = x.name",
+	"local x: {name?: string} = {name = 1}",
+	"local x: ?? number = 1",
+	// literal types
+	"local m: 'read' | 'write' = 'exec'",
+	"local m: 'read' | 'write' = 'read'; m = 'x'",
+	"local s: string = 'a'; local m: 'a' = s",
+	"local n: 1 | 2 = 3",
+	"local n: 1 = '1'",
+	"local function f(m: 'r' | 'w') end; local m = 'r'; f(m)",
+	// iterators
+	"local m: {[string]: number} = {}; for k, v in pairs(m) do local n: number = k end",
+	"local m: {[string]: number} = {}; for k, v in next, m do local s: string = v end",
+	"local xs: {number} = {}; for i, v in pairs(xs) do local s: string = i end",
+	"local function range(): () => (?number) return function(): ?number return nil end end; for i in range() do local s: string = i end",
+	"for a in 1 do end",
+	"ipairs(1)",
+	// methods
+	"local a = {n = 1} function a:get(): number return self.n end; local x: string = a:get()",
+	"local a = {n = 1} function a:add(x: number): number return self.n + x end; a:add('b')",
+	"local a = {n = 1} function a:f() local s: string = self.n end",
+	"local a = {} a:foo()",
+	"local a: {f: (number) => (number)} = {f = function(x: number): number return x end}; function a.f(x: string): number return 1 end",
+	"declare t: {f: () => (number)}; function t.f() return 'a' end",
+	"declare t: {f: () => (?number)}; function t.f() return 1 end; local n: number = t.f()",
+	"local a = {1} function a:f() end",
+	"local a = {} function a:f(): number return 1 end; local b: {f: (any) => (number)} = a",
+	// metatables
+	"local P = {}; P.__index = P; local p = setmetatable({x = 1}, P); function P:len(): number return self.x end; local s: string = p:len()",
+	"local P = {}; P.__index = P; local p = setmetatable({x = 1}, P); function P:len(): string return self.x end",
+	"local P = {}; P.__index = P; local p = setmetatable({x = 1}, P); p:foo()",
+	"local mt = {__index = {a = 1}}; local t = setmetatable({}, mt); local s: string = t.a",
+	"local t = setmetatable({}, 1)",
+	"local P = {}; P.__index = P; function P:len(): string return self.x end; function P.new() return setmetatable({x = 1}, P) end",
+	"local P = {}; P.__index = P; function P:len(): number return self.x end; local p = setmetatable({x = 'a'}, P)",
+	"local P = {}; P.__index = P; function P:f(): number return 'a' end",
+	"local P = {}; P.__index = P; function P:len() return self.x end; function P.new() return setmetatable({x = 1}, P) end; local s: string = P.new():len()",
+	// metamethods
+	"local V = {}; V.__index = V; local v = setmetatable({}, V); local n = v + 1",
+	"declare f: (any, number) => (string); local v = setmetatable({}, {__add = f}); local s: string = v + 'a'",
+	"declare f: (any, number) => (string); local v = setmetatable({}, {__add = f}); local n: number = v + 1",
+	"declare f: (any, any) => (boolean); local v = setmetatable({}, {__lt = f}); local c = v <= v",
+	"declare f: (any) => (string); local v = setmetatable({}, {__len = f}); local n: number = #v",
+	"declare f: (any, number) => (string); local v = setmetatable({}, {__call = f}); local s: string = v('a')",
+	"declare v: {__add: (any, number) => (string)}; local s: string = v + 1",
+	"declare v: {__call: (any, number) => (string)}; local s: string = v(1)",
+	"declare v: {metamethod __add: (any, number) => (string)}; local n: number = v + 1",
+	"declare v: {metamethod __len: (any) => (string)}; local n: number = #v",
+	"declare v: {metamethod __call: (any, number) => (string)}; local s: string = v('a')",
+	"local v: {metamethod __add: (any, number) => (string)} = {}",
+	"declare f: (any, string) => (string); local v: {metamethod __add: (any, number) => (string)} = setmetatable({}, {__add = f})",
+	// return type inference
+	"local function f() return 1 end; local x: string = f()",
+	"local function f(b: boolean) if b then return 1 end end; local x: number = f(true)",
+	"local function fact(n: number) if n == 0 then return 1 end return n * fact(n - 1) end; local x: string = fact(3)",
+	"local function f() end; local x: number = f()",
+	"local t = {}; function t.f() return 1 end; local n: string = t.f()",
+	// contextual typing
+	"local function each(t, f: {number}, (number) => ()) end; each({1}, function(x) local s: string = x end)",
+	"local function map<T, U>(t, f: {T}, (T) => (U)): {U} return {} end; local r = map({'a'}, function(x) return x + 1 end)",
+	"local function f(cb: (number) => (number)) end; f(function(x) return 'a' end)",
+	"local f: (number, string) => () = function(a, b) local s: string = a end",
+	"local t: {f: (number) => ()} = {f = function(a) end}; t.f = function(a) local s: string = a end",
+	"local function g(): (number) => () return function(a) local s: string = a end end",
+	"local f: (number) => () = function(a: string) end",
+	// open tables
+	"local t = {}; t.x = 1; t.x = 'a'",
+	"local t: {} = {}; t.x = 1",
+	"local t = {}; local function f(x: any) end; f(t); t.x = 1",
+	"local function g() local t = {}; return t end; local u = g(); u.x = 1",
+	"local t = {}; local u: {x?: number} = t; t.y = 1",
+	"local u = {}; local t = {}; t.u = u; u.x = 1",
+	"declare d: {a: number}; d.b = 1",
+	"declare d: {a: number}; d.__foo = 1",
+	"declare d: {a: number}; d.__index = d",
+	"local t = {}; local function f(x: any) end; f(t); t.__index = t",
+	"local t = {x = 1}; local function f() t.y = 2 end",
+	"type T = {a: number}; local a: T = {a = 1}; local b: T = {a = 2}; a.x = 1; local n: number = b.x",
+	// tuples
+	"local t: {number, string} = {1, 'a'}; local s: string = t[1]",
+	"local t: {number, string} = {1, 2}",
+	"local t: {number, string} = {1}",
+	"local t: {number, string} = {1, 'a', 3}",
+	"local t: {number, ...string} = {1, 'a', 'b'}; local s: string = t[5]",
+	"local t: {number, string} = {1, 'a'}; local s = t['a']",
+	"local t: {number, string} = {1, 'a'}; t.x = 1",
+	// casts
+	"local x: number = 1; local s = (x :: string)",
+	"local x: number | string = 1; local b = (x :: boolean | nil)",
+	"local f = (function(a) local n: string = a end :: (number) => ())",
+	"local t = {}; local u = (t :: {x?: number}); t.y = 1",
+	"local x: number | string = 1; local n: number = (x :: number | string)",
 	":void return 1",
 ];
 
@@ -445,12 +591,20 @@ describe("fails", () => {
 
 	function parseFail(vec: Array<string>, options: LuaParseOptions) {
 		fail(vec, code => parse(code, null, options));
+		vec.forEach(code =>
+			it(`${code} (recovering)`, () => {
+				const diagnostics = [];
+				expect(() => parse(code, null, options, diagnostics)).not.toThrow();
+				expect(diagnostics.length).toBeGreaterThan(0);
+			})
+		);
 	}
 
 	parseFail(lua51, { luaVersion: "5.1" });
 	parseFail(lua52, { luaVersion: "5.2" });
 	parseFail(lua53, { luaVersion: "5.3" });
 	parseFail(luajit, { luaVersion: "JIT" });
+	parseFail(lua51_types, { luaVersion: "5.1", features: { typeCheck: true } });
 	fail(types, code =>
 		check(code, { luaVersion: "5.3", features: { typeCheck: true } })
 	);
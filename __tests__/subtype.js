@@ -0,0 +1,107 @@
+// @flow strict-local
+/* eslint-env jest */
+import { checkString } from "../src/lua-type-check";
+
+// Pairs of [sub, sup] types, checked by assigning a value of type sub to a
+// variable of type sup
+const subtypes = [
+	// simple types
+	["number", "number"],
+	["number", "any"],
+	["any", "number"],
+	["nil", "?number"],
+	["number", "number | string"],
+	["'a'", "string"],
+	["1", "1 | 2"],
+	// tables
+	["{number}", "table"],
+	["{a: number}", "{a: number | string}"],
+	["{a: number}", "{a: number, b?: string}"],
+	["{a: number}", "{[string]: number}"],
+	["{[number]: string}", "{string}"],
+	["{number, string}", "{number, string}"],
+	["{number, string}", "{number | string}"],
+	["{number, string}", "{[number]: number | string}"],
+	["{number}", "{...number}"],
+	["{...number}", "{number}"],
+	["{number, string}", "{number, string, ?boolean}"],
+	["{1, 'a'}", "{number, string}"],
+	["{number, string}", "table"],
+	// functions
+	["(number) => ()", "function"],
+	["() => ()", "() => ()"],
+	["(number) => (number)", "(number) => (number)"],
+	["(number | string) => ()", "(number) => ()"],
+	["(any) => ()", "(number) => ()"],
+	["(any) => ()", "(any) => ()"],
+	["(?number) => ()", "(number) => ()"],
+	["(number, ?string) => ()", "(number) => ()"],
+	["(...number) => ()", "(number, number) => ()"],
+	["(...any) => ()", "(...number) => ()"],
+	["() => (number)", "() => (number | string)"],
+	["() => (number)", "() => (?number)"],
+	["() => (number)", "() => (any)"],
+	["() => (number, string)", "() => (number, string)"],
+	["() => (nil)", "() => ()"],
+	["((number) => ()) => ()", "((number | string) => ()) => ()"],
+	["(() => (number | string)) => ()", "(() => (number)) => ()"],
+	["<T>(T) => (T)", "(number) => (number)"],
+	["{f: (number | string) => ()}", "{f: (number) => ()}"],
+];
+
+const not_subtypes = [
+	// simple types
+	["string", "number"],
+	["?number", "number"],
+	["number | string", "number"],
+	["string", "'a'"],
+	// tables
+	["{number}", "{string}"],
+	["{a: number}", "{a: string}"],
+	["{a: number, b: string}", "{a: number}"],
+	["{number, string}", "{string, number}"],
+	["{number, string}", "{number}"],
+	["{number, string}", "{number, string, boolean}"],
+	["{number, string, boolean}", "{number, string}"],
+	["{number}", "{number, string}"],
+	["{number}", "{number, number}"],
+	["{number}", "{?number, ?number}"],
+	// functions
+	["(number) => ()", "table"],
+	["(number) => ()", "(number | string) => ()"],
+	["(number) => ()", "(any) => ()"],
+	["(number) => ()", "(?number) => ()"],
+	["(number, string) => ()", "(number) => ()"],
+	["() => ()", "(number) => ()"],
+	["(number) => ()", "(...number) => ()"],
+	["(number, number) => ()", "(...number) => ()"],
+	["(number, ...number) => ()", "(...number) => ()"],
+	["(...number) => ()", "(...any) => ()"],
+	["() => (number | string)", "() => (number)"],
+	["() => (?number)", "() => (number)"],
+	["() => (number)", "() => (number, string)"],
+	["() => (number, string)", "() => (number)"],
+	["((number | string) => ()) => ()", "((number) => ()) => ()"],
+	["(() => (number)) => ()", "(() => (number | string)) => ()"],
+	["(number) => (number)", "<T>(T) => (T)"],
+	["{f: (number) => ()}", "{f: (number | string) => ()}"],
+];
+
+function assign(sub: string, sup: string): void {
+	checkString(`declare a: ${sub}; local b: ${sup} = a`, {
+		luaVersion: "5.3",
+		features: { typeCheck: true },
+	});
+}
+
+describe("subtypes", () => {
+	subtypes.forEach(([sub, sup]) =>
+		it(`${sub} <: ${sup}`, () => expect(() => assign(sub, sup)).not.toThrow())
+	);
+});
+
+describe("not subtypes", () => {
+	not_subtypes.forEach(([sub, sup]) =>
+		it(`${sub} </: ${sup}`, () => expect(() => assign(sub, sup)).toThrow())
+	);
+});
@@ -79,6 +79,14 @@ export type ParenthesisExpression = {|
 	...LocationInfo,
 |};
 
+// Example: (x :: number)
+export type CastExpression = {|
+	+type: "CastExpression",
+	+expression: Expression,
+	+typeInfo: TypeInfo,
+	...LocationInfo,
+|};
+
 // Example: 12 inside {12}
 export type TableValue = {|
 	+type: "TableValue",
@@ -193,6 +201,7 @@ export type FunctionBase = {|
 	+parameters: Array<Identifier>,
 	+has_varargs: boolean,
 	+parameter_types: TypeList,
+	+type_parameters: Array<TypeParameter>,
 	+body: FunctionBlock,
 	...LocationInfo,
 |};
@@ -282,6 +291,7 @@ export type Expression =
 	| Identifier
 	| Literal
 	| ParenthesisExpression
+	| CastExpression
 	| BinaryExpression
 	| LogicalExpression
 	| UnaryExpression
@@ -428,6 +438,20 @@ export type DeclareStatement = {|
 	...LocationInfo,
 |};
 
+// Example: type Point = {x: number, y: number}
+export type TypeAliasStatement = {|
+	+type: "TypeAliasStatement",
+	+identifier: Identifier,
+	+typeInfo: TypeInfo,
+	...LocationInfo,
+|};
+
+// Example: a = = 1, when recovering from syntax errors
+export type ErrorStatement = {|
+	+type: "ErrorStatement",
+	...LocationInfo,
+|};
+
 export type Statement =
 	| LocalStatement
 	| CallStatement
@@ -444,7 +468,9 @@ export type Statement =
 	| NonLocalFunctionStatement
 	| ForNumericStatement
 	| ForGenericStatement
-	| DeclareStatement;
+	| DeclareStatement
+	| TypeAliasStatement
+	| ErrorStatement;
 
 export type SimpleBlock = {|
 	type: "SimpleBlock",
@@ -454,7 +480,8 @@ export type SimpleBlock = {|
 export type FunctionBlock = {|
 	type: "FunctionBlock",
 	statements: $ReadOnlyArray<Statement>,
-	return_types: TypeList,
+	// null if not annotated, then they are inferred from the return statements
+	return_types: ?TypeList,
 |};
 
 export type Chunk = {|
@@ -481,22 +508,74 @@ export type SimpleType = {|
 		| "empty",
 |};
 
+// Example: <T>(T) => (T)
 export type FunctionType = {|
 	+type: "FunctionType",
 	+parameter_types: TypeList,
 	+return_types: TypeList,
+	+type_parameters: Array<TypeParameter>,
 |};
 
+// Example: {a: number, b: string}
+// Example: {[string]: number}
 export type TableType = {|
 	+type: "TableType",
 	+typeMap: Map<string, TypeInfo>,
+	// type of the keys not in typeMap, and of their values
+	+indexer: ?TableIndexer,
+	// set by setmetatable, missing fields are looked up in its __index
+	+metatable: ?TableType,
+|};
+
+export type TableIndexer = {|
+	+key: TypeInfo,
+	+value: TypeInfo,
+|};
+
+// Example: {number}
+export type ArrayType = {|
+	+type: "ArrayType",
+	+elementType: TypeInfo,
+|};
+
+// Example: {number, string}, a table with values of these types at 1, 2, ...
+// like the ones made by table.pack or {f()}
+export type TupleType = {|
+	+type: "TupleType",
+	+elementTypes: TypeList,
+|};
+
+// Example: T inside function f<T>(x: T) end
+// Each declaration creates a new object, so type parameters with the same
+// name in different functions are different types.
+export type TypeParameter = {|
+	+type: "TypeParameter",
+	+name: string,
+|};
+
+// Example: "read" inside "read" | "write"
+export type LiteralType = {|
+	+type: "LiteralType",
+	+value: string | number,
+	// set for the types of literal expressions, which are widened to the base
+	// type when they become the type of a variable
+	+fresh?: boolean,
 |};
 
-export type SingleType = SimpleType | FunctionType | TableType;
+export type SingleType =
+	| SimpleType
+	| LiteralType
+	| FunctionType
+	| TableType
+	| ArrayType
+	| TupleType
+	| TypeParameter;
 
 export type TypeInfo = {|
 	+type: "TypeInfo",
 	+possibleTypes: Set<SingleType>,
+	// set for type aliases
+	+name?: string,
 |};
 
 export type TypeList = {
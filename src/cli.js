@@ -4,6 +4,7 @@
 
 import { type LuaParseOptions, parseFile } from "./lua-parse";
 import { check } from "./lua-type-check";
+import { CodeError } from "./errors";
 import { ConstVisitor } from "./const-visitor";
 import fs from "fs";
 import { generate } from "./lua-generator";
@@ -41,21 +42,30 @@ function getOptions(args: Object): LuaParseOptions {
 	const features = {};
 	if (args.const) features.const_ = true;
 	if (args.typeCheck) features.typeCheck = true;
+	if (args.docComments) features.docComments = true;
 	return { features, luaVersion: args.withLua };
 }
 
 async function checkAll(args: Object) {
 	try {
+		const diagnostics: Array<CodeError> = [];
 		process.chdir(args.srcDir);
 		await forAllLuaFilesRecursive(
 			".",
 			"",
 			async (dir: string, name: string) => {
-				let ast = await parseFile(`./${dir}/${name}`, getOptions(args));
-				if (args.typeCheck) ast = check(ast);
-				if (args.const) visit(ast, [new ConstVisitor()]);
+				let ast = await parseFile(
+					`./${dir}/${name}`,
+					getOptions(args),
+					diagnostics
+				);
+				if (args.typeCheck || args.docComments)
+					ast = check(ast, undefined, diagnostics);
+				if (args.const) visit(ast, [new ConstVisitor(diagnostics)]);
 			}
 		);
+		diagnostics.forEach(e => console.error(e.toString()));
+		if (diagnostics.some(e => !e.isWarning())) process.exit(1);
 		console.log("No errors.");
 	} catch (e) {
 		console.error(e.toString());
@@ -76,7 +86,10 @@ async function transpileAll(args: Object) {
 					getOptions(args)
 				);
 				await mkdir(`${args.outDir}/${dir}`).catch(() => {});
-				await writeFile(`${args.outDir}/${dir}/${name}`, generate(ast));
+				await writeFile(
+					`${args.outDir}/${dir}/${name}`,
+					generate(ast, { docComments: args.emitDocComments })
+				);
 				filesCompiled++;
 			}
 		);
@@ -94,6 +107,11 @@ function parseOptions(yargs: typeof yargs): typeof yargs {
 			type: "boolean",
 			describe: "Enables type-checking. (EXPERIMENTAL)",
 		})
+		.option("doc-comments", {
+			alias: "d",
+			type: "boolean",
+			describe: "Type-check with LuaLS doc comments.",
+		})
 		.option("const", {
 			alias: "c",
 			type: "boolean",
@@ -134,6 +152,11 @@ yargs
 						describe: "Output directory",
 						type: "string",
 					})
+					.option("emit-doc-comments", {
+						alias: "e",
+						type: "boolean",
+						describe: "Write the types as LuaLS doc comments.",
+					})
 			),
 		handler: transpileAll,
 	})
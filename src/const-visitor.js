@@ -1,6 +1,6 @@
 // @flow strict-local
 import * as AST from "./ast-types";
-import { astError, errors } from "./errors";
+import { astError, CodeError, errors } from "./errors";
 import { type Visitor } from "./visitor";
 
 export class ConstVisitor implements Visitor {
@@ -9,6 +9,12 @@ export class ConstVisitor implements Visitor {
 	// Faster access
 	var_binds: { [name: string]: Array<boolean> } = {};
 	meta: AST.MetaInfo;
+	// if present, errors are added here instead of thrown
+	diagnostics: ?Array<CodeError>;
+
+	constructor(diagnostics?: Array<CodeError>) {
+		this.diagnostics = diagnostics;
+	}
 
 	addBind(name: string, const_: boolean): void {
 		const b = this.binds;
@@ -20,8 +26,10 @@ export class ConstVisitor implements Visitor {
 
 	tryReassign(name: string, node: { ...AST.LocationInfo }): void {
 		const vb = this.var_binds[name];
-		if (vb != null && vb.length > 0 && vb[vb.length - 1] === true)
-			throw astError(errors.reassignConst, this.meta, node);
+		if (vb == null || vb.length === 0 || vb[vb.length - 1] !== true) return;
+		const err = astError(errors.reassignConst, this.meta, node);
+		if (this.diagnostics == null) throw err;
+		this.diagnostics.push(err);
 	}
 
 	LocalStatement = {
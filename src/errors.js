@@ -36,10 +36,28 @@ export const errors = Object.freeze({
 	invalidNumberUnaryOp: 24,
 	invalidLen: 25,
 	invalidIndex: 26,
+	cannotCall: 27,
+	invalidCallArgs: 28,
+	invalidReturn: 29,
+	alwaysTruthyCondition: 30,
+	invalidForLimit: 31,
+	invalidArrayIndex: 32,
+	invalidKey: 33,
+	invalidCast: 34,
+	// doc comment warnings
+	invalidDocComment: 35,
+	unknownDocType: 36,
 });
 
 type ErrorType = $Values<typeof errors>;
 
+// Errors that don't stop the code from running
+const warnings: $ReadOnlyArray<ErrorType> = [
+	errors.alwaysTruthyCondition,
+	errors.invalidDocComment,
+	errors.unknownDocType,
+];
+
 const formats = [
 	"%s",
 	// tokenizer and parser errors
@@ -71,6 +89,17 @@ const formats = [
 	"cannot use «%s» with non-number",
 	"cannot use «#» with non-table",
 	"cannot index non-table",
+	"cannot call value of non-function type «%s»",
+	"cannot call «%s» with arguments of type «%s»",
+	"cannot return «%s» from function returning «%s»",
+	"condition of type «%s» is always truthy",
+	"cannot use «%s» as a numeric for limit",
+	"cannot index array with «%s»",
+	"cannot index «%s» with key of type «%s»",
+	"cannot cast value of type «%s» to «%s»",
+	// doc comment warnings
+	"doc comment ignored, %s expected",
+	"unknown type «%s» in doc comment, any is used",
 ];
 
 function kth(str: string, sub: string, k: number, from?: number = 0): number {
@@ -102,6 +131,10 @@ export class CodeError extends Error {
 			this.extra_info = [`${this.loc.start.line}`];
 	}
 
+	isWarning(): boolean {
+		return warnings.includes(this.type);
+	}
+
 	toString(): string {
 		// A bit inefficient but shouldn't be used much
 		const fn = this.meta.filename != null ? this.meta.filename : "unknown file";
@@ -131,8 +164,9 @@ export class CodeError extends Error {
 		}
 
 		const fmt = formats[this.type];
-		const msg =
+		let msg =
 			this.extra_info != null ? util.format(fmt, ...this.extra_info) : fmt;
+		if (this.isWarning()) msg = `warning: ${msg}`;
 
 		return `[${fn}:${ln}:${cols}] ${msg}\n${" ".repeat(indent)}${line.slice(
 			firstNonSpace
@@ -4,14 +4,139 @@
 
 import * as AST from "./ast-types";
 
-export type GenerateOptions = {||};
+export type GenerateOptions = {|
+	// Write the type annotations as LuaLS doc comments
+	+docComments?: boolean,
+|};
+
+const default_options = {
+	docComments: false,
+};
+
+// The LuaLS name of a type
+function docType(type: AST.TypeInfo): string {
+	return docUnion([...type.possibleTypes]);
+}
 
-const default_options = {};
+// The LuaLS name of the values of a rest type, which always includes nil
+function docRestType(type: AST.TypeInfo): string {
+	return docUnion(
+		[...type.possibleTypes].filter(
+			t => t.type !== "SimpleType" || t.value !== "nil"
+		)
+	);
+}
+
+function docUnion(types: Array<AST.SingleType>): string {
+	if (types.length === 0) return "nil";
+	if (types.length === 1) return docSingleType(types[0]);
+	return types
+		.map(t =>
+			t.type === "FunctionType" ? `(${docSingleType(t)})` : docSingleType(t)
+		)
+		.join("|");
+}
+
+function docSingleType(type: AST.SingleType): string {
+	switch (type.type) {
+		case "SimpleType":
+			return type.value === "empty" ? "nil" : type.value;
+		case "LiteralType":
+			return typeof type.value === "string"
+				? JSON.stringify(type.value)
+				: String(type.value);
+		case "TypeParameter":
+			return type.name;
+		case "FunctionType": {
+			const parameters = type.parameter_types.list.map(
+				(t, i) => `arg${i + 1}: ${docType(t)}`
+			);
+			if (!isMissing(type.parameter_types.rest))
+				parameters.push(`...: ${docRestType(type.parameter_types.rest)}`);
+			const returns = type.return_types.list.map(docType);
+			return returns.length > 0
+				? `fun(${parameters.join(", ")}): ${returns.join(", ")}`
+				: `fun(${parameters.join(", ")})`;
+		}
+		case "ArrayType": {
+			const element = docType(type.elementType);
+			return type.elementType.possibleTypes.size > 1 ||
+				element.startsWith("fun(")
+				? `(${element})[]`
+				: `${element}[]`;
+		}
+		case "TupleType":
+			return `[${type.elementTypes.list.map(docType).join(", ")}]`;
+		case "TableType": {
+			// LuaLS can't name the other fields, and has no metatables
+			const fields = [...type.typeMap]
+				.filter(([name]) => /^[A-Za-z_]\w*$/.test(name))
+				.map(([name, t]) => `${name}: ${docType(t)}`);
+			const indexer = type.indexer;
+			if (indexer == null)
+				return fields.length > 0 ? `{${fields.join(", ")}}` : "table";
+			if (fields.length === 0)
+				return `table<${docType(indexer.key)}, ${docType(indexer.value)}>`;
+			fields.push(`[${docType(indexer.key)}]: ${docType(indexer.value)}`);
+			return `{${fields.join(", ")}}`;
+		}
+		default:
+			throw new Error(`Unknown type ${type.type}`);
+	}
+}
+
+// Whether the rest of a type list has no values: it is empty, or nil
+function isMissing(type: AST.TypeInfo): boolean {
+	return [...type.possibleTypes].every(
+		t => t.type === "SimpleType" && (t.value === "empty" || t.value === "nil")
+	);
+}
+
+// The doc comments of a function with type annotations
+function functionDocComments(node: { ...AST.FunctionBase }): Array<string> {
+	const comments = node.type_parameters.map(t => `---@generic ${t.name}`);
+	const { list, rest } = node.parameter_types;
+	// without annotations, the parameters have the type any
+	if (list.length > 0 || !isAny(rest)) {
+		node.parameters.forEach((p, i) =>
+			comments.push(
+				`---@param ${p.name} ${docType(i < list.length ? list[i] : rest)}`
+			)
+		);
+		if (node.has_varargs) comments.push(`---@param ... ${docRestType(rest)}`);
+	}
+	const return_types = node.body.return_types;
+	if (return_types != null) {
+		return_types.list.forEach(t => comments.push(`---@return ${docType(t)}`));
+		if (!isMissing(return_types.rest))
+			comments.push(`---@return ${docRestType(return_types.rest)} ...`);
+	}
+	return comments;
+}
+
+function isAny(type: AST.TypeInfo): boolean {
+	return [...type.possibleTypes].some(
+		t => t.type === "SimpleType" && t.value === "any"
+	);
+}
 
 export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 	const options = { ...default_options, ..._options };
 	let curLine: number = 1;
 	const buffer: Array<string> = [];
+	// Doc comments are added once the code is generated, on the empty lines
+	// before their statement, so that they don't move the code.
+	const doc_comments: Array<{| line: number, comments: Array<string> |}> = [];
+	// A declare has no code, so it gets an assignment that never runs to
+	// annotate, in its empty lines
+	const declare_comments: Array<{|
+		line: number,
+		indent: string,
+		name: string,
+		type: string,
+	|}> = [];
+	// The lines inside multiline strings, which can't take comments
+	const string_lines: Set<number> = new Set();
 
 	function adjust(pos: ?AST.Position, level: number): void {
 		if (pos == null || curLine >= pos.line) {
@@ -47,9 +172,17 @@ export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 	}
 
 	function genStatement(node: AST.Statement, level: number): void {
-		adjust(start(node), level);
+		const pos = start(node);
+		const starts_line =
+			buffer.length === 0 || (pos != null && curLine < pos.line);
+		adjust(pos, level);
+		// a comment before a statement that doesn't start its line would be
+		// attached to the previous one
+		if (options.docComments && starts_line) addDocComments(node, level);
 		switch (node.type) {
 			case "DeclareStatement":
+			case "TypeAliasStatement":
+			case "ErrorStatement":
 				// no output
 				return;
 			case "LocalStatement":
@@ -87,6 +220,64 @@ export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 		}
 	}
 
+	function addDocComments(node: AST.Statement, level: number): void {
+		switch (node.type) {
+			case "DeclareStatement":
+				declare_comments.push({
+					line: curLine,
+					indent: "\t".repeat(level),
+					name: node.identifier.name,
+					type: docType(node.typeInfo),
+				});
+				return;
+			case "LocalStatement":
+				if (node.typeList.list.length > 0)
+					doc_comments.push({
+						line: curLine,
+						comments: [
+							`---@type ${node.typeList.list.map(docType).join(", ")}`,
+						],
+					});
+				else if (
+					node.init.length > 0 &&
+					node.init[0].type === "FunctionExpression"
+				)
+					doc_comments.push({
+						line: curLine,
+						comments: functionDocComments(node.init[0]),
+					});
+				return;
+			case "LocalFunctionStatement":
+			case "NonLocalFunctionStatement":
+				doc_comments.push({
+					line: curLine,
+					comments: functionDocComments(node),
+				});
+				return;
+			default:
+		}
+	}
+
+	function insertDocComments(code: string): string {
+		const lines = code.split("\n");
+		const isEmpty = i =>
+			i >= lines.length || (lines[i].trim() === "" && !string_lines.has(i + 1));
+		doc_comments.forEach(({ line, comments }) => {
+			const first = line - 1 - comments.length;
+			if (comments.length === 0 || first < 0) return;
+			for (let i = first; i < line - 1; i++) if (!isEmpty(i)) return;
+			const indent = lines[line - 1].replace(/\S.*$/, "");
+			comments.forEach((c, i) => (lines[first + i] = indent + c));
+		});
+		declare_comments.forEach(({ line, indent, name, type }) => {
+			const code = ["if false then", `---@type ${type}`, `${name} = nil end`];
+			for (let i = line - 1; i < line - 1 + code.length; i++)
+				if (i >= lines.length || !isEmpty(i)) return;
+			code.forEach((c, i) => (lines[line - 1 + i] = indent + c));
+		});
+		return lines.join("\n");
+	}
+
 	function genBreakStatement(node: AST.BreakStatement, level: number): void {
 		buffer.push("break");
 	}
@@ -281,6 +472,8 @@ export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 			case "Identifier":
 				return genIdentifier(node, level);
 			case "ParenthesisExpression":
+			case "CastExpression":
+				// the type of a cast is not in the output
 				return genParenthesisExpression(node, level);
 			case "BinaryExpression":
 			case "LogicalExpression":
@@ -318,7 +511,7 @@ export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 	}
 
 	function genParenthesisExpression(
-		node: AST.ParenthesisExpression,
+		node: AST.ParenthesisExpression | AST.CastExpression,
 		level: number
 	): void {
 		buffer.push("(");
@@ -346,6 +539,10 @@ export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 		level: number
 	): void {
 		buffer.push(node.raw);
+		// long strings, and strings with escaped newlines, span lines
+		const newlines = node.raw.split("\n").length - 1;
+		for (let i = 1; i <= newlines; i++) string_lines.add(curLine + i);
+		curLine += newlines;
 	}
 
 	function genUnaryExpression(node: AST.UnaryExpression, level: number): void {
@@ -438,5 +635,6 @@ export function generate(ast: AST.Chunk, _options?: GenerateOptions): string {
 	}
 
 	genChunk(ast);
-	return buffer.join("");
+	const code = buffer.join("");
+	return options.docComments ? insertDocComments(code) : code;
 }
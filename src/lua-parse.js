@@ -2,7 +2,7 @@
 
 import * as AST from "./ast-types";
 import * as Token from "./token-types";
-import { astError, errors, tokenError } from "./errors";
+import { astError, CodeError, errors, tokenError } from "./errors";
 import fs from "fs";
 import invariant from "assert";
 import { tokenize } from "./lua-tokenize";
@@ -156,12 +156,14 @@ export const ast = {
 		parameters: Array<AST.Identifier>,
 		has_varargs: boolean,
 		parameter_types: AST.TypeList,
-		body: AST.FunctionBlock
+		body: AST.FunctionBlock,
+		type_parameters?: Array<AST.TypeParameter> = []
 	): AST.FunctionBase {
 		return {
 			parameters,
 			has_varargs,
 			parameter_types,
+			type_parameters,
 			body,
 		};
 	},
@@ -244,19 +246,55 @@ export const ast = {
 
 	functionType(
 		parameters: AST.TypeList,
-		returns: AST.TypeList
+		returns: AST.TypeList,
+		type_parameters?: Array<AST.TypeParameter> = []
 	): AST.FunctionType {
 		return {
 			type: "FunctionType",
 			parameter_types: parameters,
 			return_types: returns,
+			type_parameters,
 		};
 	},
 
-	tableType(typeMap: Map<string, AST.TypeInfo>): AST.TableType {
+	typeParameter(name: string): AST.TypeParameter {
+		return {
+			type: "TypeParameter",
+			name,
+		};
+	},
+
+	tableType(
+		typeMap: Map<string, AST.TypeInfo>,
+		indexer?: ?AST.TableIndexer = null,
+		metatable?: ?AST.TableType = null
+	): AST.TableType {
 		return {
 			type: "TableType",
 			typeMap,
+			indexer,
+			metatable,
+		};
+	},
+
+	tableIndexer(key: AST.TypeInfo, value: AST.TypeInfo): AST.TableIndexer {
+		return {
+			key,
+			value,
+		};
+	},
+
+	arrayType(elementType: AST.TypeInfo): AST.ArrayType {
+		return {
+			type: "ArrayType",
+			elementType,
+		};
+	},
+
+	tupleType(elementTypes: AST.TypeList): AST.TupleType {
+		return {
+			type: "TupleType",
+			elementTypes,
 		};
 	},
 
@@ -267,7 +305,26 @@ export const ast = {
 		};
 	},
 
-	typeInfo(possibleTypes: Set<AST.SingleType>): AST.TypeInfo {
+	literalType(value: string | number, fresh?: boolean): AST.LiteralType {
+		if (fresh === true)
+			return {
+				type: "LiteralType",
+				value,
+				fresh,
+			};
+		return {
+			type: "LiteralType",
+			value,
+		};
+	},
+
+	typeInfo(possibleTypes: Set<AST.SingleType>, name?: string): AST.TypeInfo {
+		if (name != null)
+			return {
+				type: "TypeInfo",
+				possibleTypes,
+				name,
+			};
 		return {
 			type: "TypeInfo",
 			possibleTypes,
@@ -309,6 +366,17 @@ export const ast = {
 		};
 	},
 
+	castExpression(
+		expression: AST.Expression,
+		typeInfo: AST.TypeInfo
+	): AST.CastExpression {
+		return {
+			type: "CastExpression",
+			expression,
+			typeInfo,
+		};
+	},
+
 	tableKey(key: AST.Expression, value: AST.Expression): AST.TableKey {
 		return {
 			type: "TableKey",
@@ -442,7 +510,7 @@ export const ast = {
 
 	functionBlock(
 		statements: $ReadOnlyArray<AST.Statement>,
-		return_types: AST.TypeList
+		return_types: ?AST.TypeList
 	): AST.FunctionBlock {
 		return {
 			type: "FunctionBlock",
@@ -462,6 +530,23 @@ export const ast = {
 		};
 	},
 
+	typeAliasStatement(
+		identifier: AST.Identifier,
+		typeInfo: AST.TypeInfo
+	): AST.TypeAliasStatement {
+		return {
+			type: "TypeAliasStatement",
+			identifier,
+			typeInfo,
+		};
+	},
+
+	errorStatement(): AST.ErrorStatement {
+		return {
+			type: "ErrorStatement",
+		};
+	},
+
 	comment(value: string, raw: string) {
 		return {
 			type: "Comment",
@@ -475,6 +560,17 @@ const nil_type = ast.typeInfo(new Set([ast.simpleType("nil")]));
 const any_type = ast.typeInfo(new Set([ast.simpleType("any")]));
 const empty_type = ast.typeInfo(new Set([ast.simpleType("empty")]));
 
+// The types given by the doc comments of a statement
+type DocAnnotations = {|
+	type_parameters: Array<AST.TypeParameter>,
+	params: Map<string, AST.TypeInfo>,
+	returns: Array<AST.TypeInfo>,
+	types: ?Array<AST.TypeInfo>,
+|};
+
+// A token of a doc comment: name, string, `name`, number or punctuation
+const doc_token = /\s*(\.\.\.|\[\]|[A-Za-z_][\w.]*|"[^"]*"|'[^']*'|`[^`]*`|\d+(?:\.\d+)?|\S)/y;
+
 // Parser
 // ------
 
@@ -496,14 +592,17 @@ const versionFeatures = {
 	"5.1": {},
 	"5.2": {
 		emptyStatement: true,
+		labels: true,
 	},
 	"5.3": {
 		emptyStatement: true,
+		labels: true,
 	},
 	JIT: {
 		// XXX: LuaJIT language features may depend on compilation options; may need to
 		// rethink how to handle this. Specifically, there is a LUAJIT_ENABLE_LUA52COMPAT
 		// that removes contextual goto. Maybe add 'LuaJIT-5.2compat' as well?
+		labels: true,
 		contextualGoto: true,
 	},
 };
@@ -525,6 +624,8 @@ export type LuaParseOptions = {|
 	+features?: {|
 		+const_?: boolean,
 		+typeCheck?: boolean,
+		// Read types from the LuaLS annotations in `---@` comments
+		+docComments?: boolean,
 	|},
 |};
 
@@ -545,20 +646,26 @@ const defaultOptions: LuaParseOptions = {
 
 export async function parseFile(
 	file: string,
-	options?: LuaParseOptions
+	options?: LuaParseOptions,
+	diagnostics?: Array<CodeError>
 ): Promise<AST.Chunk> {
 	const code: string = await new Promise((resolve, reject) => {
 		fs.readFile(file, (err, data) =>
 			err ? reject(err) : resolve(data.toString())
 		);
 	});
-	return parse(code, { code, filename: file }, options);
+	return parse(code, { code, filename: file }, options, diagnostics);
 }
 
+// If diagnostics is present, the parser recovers from syntax errors: they are
+// added to it and the returned chunk is partial, with an ErrorStatement in
+// place of each statement that could not be parsed. Otherwise the first error
+// is thrown.
 export function parse(
 	input: string,
 	meta_: ?AST.MetaInfo,
-	_options?: LuaParseOptions
+	_options?: LuaParseOptions,
+	diagnostics?: Array<CodeError>
 ): AST.Chunk {
 	const meta = { ...meta_, code: input };
 	const options = { ...defaultOptions, ..._options };
@@ -571,6 +678,8 @@ export function parse(
 	const scopes = [];
 	const function_scope = [];
 	let scopeDepth = -1;
+	// Type parameters and type aliases visible in each scope
+	const typeScopes: Array<Map<string, AST.TypeParameter | AST.TypeInfo>> = [];
 	const locations: Array<Marker> = [];
 
 	let token: Token.Any | Token.Placeholder = {
@@ -584,11 +693,25 @@ export function parse(
 	let lookahead: Token.Any | Token.Placeholder = token;
 
 	const comments = [];
+	// Doc comments before this index have been read
+	let doc_comment_index = 0;
+	// Annotations of the statement being parsed, until they are used
+	let doc: ?DocAnnotations = null;
+	// Annotations of `local f = function`, for the function expression
+	let function_doc: ?DocAnnotations = null;
+	// The doc comment being read and the position in its text
+	let doc_comment: ?AST.Comment = null;
+	let doc_position = 0;
+
+	// Set when the tokenizer fails, after that the rest of the input is lost
+	let lexerFailed = false;
+	// Number of blocks opened and not yet closed by the consumed tokens
+	let blockDepth = 0;
 
 	const trackLocations = options.locations || options.ranges;
 
 	const gen = tokenize(input, meta, {
-		comments: options.comments ? comments : undefined,
+		comments: options.comments || features.docComments ? comments : undefined,
 		extendedIdentifiers: options.extendedIdentifiers,
 		luaVersion: options.luaVersion,
 		features: options.features,
@@ -656,7 +779,16 @@ export function parse(
 	// Below are the functions used by this closure
 
 	function lex(): Token.Any | Token.Placeholder {
-		const x = gen.next();
+		let x;
+		try {
+			x = lexerFailed ? { done: true } : gen.next();
+		} catch (e) {
+			if (diagnostics == null || !(e instanceof CodeError)) throw e;
+			// The tokenizer can't go on, so the input is treated as finished here.
+			diagnostics.push(e);
+			lexerFailed = true;
+			x = { done: true };
+		}
 		if (x.done) {
 			const tr = meta.code.trimRight();
 			return {
@@ -681,13 +813,19 @@ export function parse(
 		markLocation();
 		createScope(true);
 		scopeIdentifierName("...");
-		const body = parseFunctionBlock();
+		let body = parseFunctionBlock();
+		if (!options.onlyReturnType) {
+			// Stray block closers are skipped when recovering, so the rest of the
+			// chunk is still parsed.
+			const statements = [...body.statements];
+			while (Placeholder !== token.type || token.value !== "EOF") {
+				reportError(tokenError(errors.expectedType, meta, token, "<eof>"));
+				next();
+				statements.push(...parseBlock());
+			}
+			body = ast.functionBlock(statements, body.return_types);
+		}
 		destroyScope();
-		if (
-			!options.onlyReturnType &&
-			(Placeholder !== token.type || token.value !== "EOF")
-		)
-			throw tokenError(errors.expectedType, meta, token, "<eof>");
 		// If the body is empty no previousToken exists when finishNode runs.
 		if (trackLocations && !body.statements.length) previousToken = token;
 		return finishNode(ast.chunk(body, meta));
@@ -705,15 +843,17 @@ export function parse(
 		while (!isBlockFollow(token)) {
 			// Return has to be the last statement in a block.
 			if ("return" === token.value) {
-				block.push(parseStatement());
+				block.push(parseRecoverableStatement());
 				break;
 			}
-			statement = parseStatement();
+			statement = parseRecoverableStatement();
 			consume(";");
 			// Statements are only added if they are returned, this allows us to
 			// ignore some statements, such as EmptyStatement.
 			if (statement) block.push(statement);
 		}
+		// doc comments don't apply outside of their block
+		doc = null;
 
 		// Doesn't really need an ast node
 		return block;
@@ -723,18 +863,73 @@ export function parse(
 		return ast.simpleBlock(parseBlock());
 	}
 
-	function parseFunctionBlock(): AST.FunctionBlock {
+	function parseFunctionBlock(
+		doc_return_types: ?AST.TypeList = null
+	): AST.FunctionBlock {
 		let return_types;
 		if (features.typeCheck && consume(":")) {
 			if (token.type === Identifier && token.value === "void") {
 				return_types = ast.typeList([], empty_type);
 				next();
 			} else return_types = parseTypeList(false);
-		} else return_types = ast.typeList([], any_type);
+		} else return_types = doc_return_types;
 		if (options.onlyReturnType) return ast.functionBlock([], return_types);
 		return ast.functionBlock(parseBlock(), return_types);
 	}
 
+	// Throws the error, unless recovering from errors. Errors found after the
+	// tokenizer failed are consequences of the truncated input and are dropped.
+	function reportError(err: CodeError): void {
+		if (diagnostics == null) throw err;
+		if (!lexerFailed) diagnostics.push(err);
+	}
+
+	// When recovering from errors, a statement that fails to parse is replaced
+	// by an ErrorStatement covering all tokens up to the next statement
+	// boundary.
+
+	function parseRecoverableStatement(): AST.Statement {
+		if (diagnostics == null) return parseStatement();
+		const start = token;
+		const startBlockDepth = blockDepth;
+		const depth = scopeDepth;
+		const typeDepth = typeScopes.length;
+		const locationsDepth = locations.length;
+		const marker = trackLocations ? createLocationMarker() : null;
+		try {
+			return parseStatement();
+		} catch (e) {
+			if (!(e instanceof CodeError)) throw e;
+			reportError(e);
+			locations.length = locationsDepth;
+			while (scopeDepth > depth) destroyScope();
+			// function types push type scopes of their own
+			typeScopes.length = typeDepth;
+			if (token === start) next();
+			synchronize(startBlockDepth);
+			pushLocation(marker);
+			return finishNode(ast.errorStatement());
+		}
+	}
+
+	// Skip tokens until a statement boundary: the end of a block, `local`,
+	// `function` or any other statement keyword starting a line. If the failed
+	// statement opened blocks, everything up to their closing is skipped.
+
+	function synchronize(startBlockDepth: number): void {
+		if (blockDepth > startBlockDepth) {
+			while (blockDepth > startBlockDepth && !isEOF(token)) next();
+			return;
+		}
+		while (!isBlockFollow(token)) {
+			if (Keyword === token.type) {
+				if ("local" === token.value || "function" === token.value) return;
+				if (token.line !== previousToken.line) return;
+			}
+			next();
+		}
+	}
+
 	// There are two types of statements, simple and compound.
 	//
 	//	   statement ::= break | goto | do | while | repeat | return
@@ -742,6 +937,7 @@ export function parse(
 	//			| functioncall | ';'
 
 	function parseStatement(): AST.Statement {
+		doc = features.docComments ? readDocComments() : null;
 		markLocation();
 		if (Keyword === token.type) {
 			switch (token.value) {
@@ -762,7 +958,7 @@ export function parse(
 				case "function": {
 					next();
 					const name = parseFunctionName();
-					const base = parseFunctionBase();
+					const base = parseFunctionBase(doc);
 					return finishNode(ast.nonLocalFunctionStatement(name, base));
 				}
 				case "while":
@@ -797,8 +993,19 @@ export function parse(
 			return parseGotoStatement();
 		}
 
+		if (
+			features.typeCheck &&
+			token.type === Identifier &&
+			token.value === "type" &&
+			lookahead.type === Identifier
+		) {
+			next();
+			return parseTypeAliasStatement();
+		}
+
 		if (Punctuator === token.type) {
-			if (consume("::")) return parseLabelStatement();
+			// :: is also tokenized for casts
+			if (features.labels && consume("::")) return parseLabelStatement();
 		}
 		// Assignments memorizes the location and pushes it manually for wrapper
 		// nodes. Additionally empty `;` statements should not mark a location.
@@ -1018,6 +1225,19 @@ export function parse(
 		return finishNode(ast.declareStatement(id, info));
 	}
 
+	//	   typealias ::= 'type' Name '=' typeinfo
+
+	function parseTypeAliasStatement(): AST.TypeAliasStatement {
+		invariant(features.typeCheck);
+		const id = parseIdentifier();
+		if (isSimpleTypeName(id.name))
+			throw tokenError(errors.expectedType, meta, previousToken, "<name>");
+		expect("=");
+		const info = ast.typeInfo(parseTypeInfo().possibleTypes, id.name);
+		typeScopes[typeScopes.length - 1].set(id.name, info);
+		return finishNode(ast.typeAliasStatement(id, info));
+	}
+
 	// Local statements can either be variable assignments or function
 	// definitions. If a function definition is found, it will be delegated to
 	// `parseFunctionDeclaration()` with the isLocal flag.
@@ -1043,9 +1263,17 @@ export function parse(
 				variables.push(name);
 			} while (consume(","));
 
-			const types = parseTypeList(true);
+			let types = parseTypeList(true);
+			if (doc != null && doc.types != null && types.rest === any_type)
+				types = ast.typeList(doc.types, any_type);
 
 			if (consume("=")) {
+				if (
+					variables.length === 1 &&
+					Keyword === token.type &&
+					"function" === token.value
+				)
+					function_doc = doc;
 				do {
 					const expression = parseExpectedExpression();
 					init.push(expression);
@@ -1067,7 +1295,7 @@ export function parse(
 		scopeIdentifier(name);
 		createScope(true);
 
-		const base = parseFunctionBase();
+		const base = parseFunctionBase(doc);
 		return finishNode(ast.localFunctionStatement(name, kind, base));
 	}
 
@@ -1153,52 +1381,178 @@ export function parse(
 		return ast.typeList([], nil_type);
 	}
 
-	//	   functype ::= functypeargs '=>' functypeargs
+	//	   functype ::= [typeparams] functypeargs '=>' functypeargs
 	//	   functypeargs ::= '(' [typelist] ')'
 	function parseFuncType(): AST.FunctionType {
+		typeScopes.push(new Map());
+		const type_parameters = parseTypeParameters();
 		const parameters = parseFuncTypeArgs();
 		expect("=>");
 		const returns = parseFuncTypeArgs();
-		return ast.functionType(parameters, returns);
+		typeScopes.pop();
+		return ast.functionType(parameters, returns, type_parameters);
 	}
 
-	//	   tabletype ::= '{' {name ':' typeinfo ','} name ':' typeinfo [','] '}'
+	// The type parameters are added to the current type scope.
+	//
+	//	   typeparams ::= '<' Name {',' Name} '>'
+	function parseTypeParameters(): Array<AST.TypeParameter> {
+		if (!features.typeCheck || !consume("<")) return [];
+		const type_parameters = [];
+		do {
+			const name = parseIdentifier().name;
+			if (isSimpleTypeName(name))
+				throw tokenError(errors.expectedType, meta, previousToken, "<name>");
+			const type_parameter = ast.typeParameter(name);
+			typeScopes[typeScopes.length - 1].set(name, type_parameter);
+			type_parameters.push(type_parameter);
+		} while (consume(","));
+		expect(">");
+		return type_parameters;
+	}
+
+	function isSimpleTypeName(name: string): boolean {
+		switch (name) {
+			case "number":
+			case "boolean":
+			case "string":
+			case "table":
+			case "function":
+			case "nil":
+			case "any":
+				return true;
+			default:
+				return false;
+		}
+	}
+
+	function getNamedType(name: string): ?(AST.TypeParameter | AST.TypeInfo) {
+		for (let i = typeScopes.length - 1; i >= 0; i--) {
+			const type = typeScopes[i].get(name);
+			if (type != null) return type;
+		}
+		return null;
+	}
+
+	//	   tabletype ::= '{' {tablefield ','} tablefield [','] '}'
 	//	   tabletype ::= '{' '}'
-	function parseTableType(): AST.TableType {
+	//	   tabletype ::= '{' typelist '}'
+	//	   tablefield ::= name ['?'] ':' typeinfo | '[' typeinfo ']' ':' typeinfo
+	//	   tablefield ::= 'metamethod' name ':' typeinfo
+	//
+	// A type list with a single type is an array, and others are tuples. The
+	// metamethod fields are those of the metatable.
+	function parseTableType(): AST.TableType | AST.ArrayType | AST.TupleType {
 		expect("{");
+		if (
+			!(Punctuator === token.type && "}" === token.value) &&
+			!(Punctuator === token.type && "[" === token.value) &&
+			!(
+				Identifier === token.type &&
+				(":" === lookahead.value || "?" === lookahead.value)
+			) &&
+			!isMetamethodField()
+		) {
+			const elementTypes = parseTypeList(false);
+			expect("}");
+			if (elementTypes.list.length === 1 && elementTypes.rest === empty_type)
+				return ast.arrayType(elementTypes.list[0]);
+			return ast.tupleType(elementTypes);
+		}
 		const map = new Map();
+		const metamethods = new Map();
+		let indexer = null;
 		while (!consume("}")) {
-			const name = parseIdentifier();
-			expect(":");
-			const type = parseTypeInfo();
-			map.set(name.name, type);
+			if (indexer == null && consume("[")) {
+				const key = parseTypeInfo();
+				expect("]");
+				expect(":");
+				indexer = ast.tableIndexer(key, parseTypeInfo());
+			} else if (isMetamethodField()) {
+				next();
+				const name = parseIdentifier();
+				expect(":");
+				metamethods.set(name.name, parseTypeInfo());
+			} else {
+				const name = parseIdentifier();
+				const optional = consume("?");
+				expect(":");
+				const type = parseTypeInfo();
+				map.set(name.name, optional ? optionalType(type) : type);
+			}
 			if (!consume(",")) {
 				expect("}");
 				break;
 			}
 		}
-		return ast.tableType(map);
+		return ast.tableType(
+			map,
+			indexer,
+			metamethods.size > 0 ? ast.tableType(metamethods) : null
+		);
 	}
 
+	// A field named metamethod is still a field
+	function isMetamethodField(): boolean {
+		return (
+			Identifier === token.type &&
+			"metamethod" === token.value &&
+			Identifier === lookahead.type
+		);
+	}
+
+	//	   typeinfo ::= optionaltype {'|' optionaltype}
 	function parseTypeInfo(): AST.TypeInfo {
-		const s = new Set();
-		s.add(parseSingleType());
+		const types = [parseOptionalType()];
 		while (consume("|")) {
-			s.add(parseSingleType());
+			types.push(parseOptionalType());
 		}
+		// an alias used alone keeps its name
+		if (types.length === 1 && types[0].type === "TypeInfo") return types[0];
+		const s = new Set();
+		types.forEach(t => {
+			if (t.type === "TypeInfo")
+				t.possibleTypes.forEach(single => s.add(single));
+			else s.add(t);
+		});
 		return ast.typeInfo(s);
 	}
 
+	//	   optionaltype ::= ['?'] singletype
+	function parseOptionalType(): AST.SingleType | AST.TypeInfo {
+		if (!features.typeCheck || !consume("?")) return parseSingleType();
+		const type = parseSingleType();
+		return optionalType(
+			type.type === "TypeInfo" ? type : ast.typeInfo(new Set([type]))
+		);
+	}
+
+	// ?T is the same as T | nil
+	function optionalType(type: AST.TypeInfo): AST.TypeInfo {
+		return ast.typeInfo(
+			new Set([...type.possibleTypes, ast.simpleType("nil")])
+		);
+	}
+
 	//	   singletype ::= 'number' | 'boolean' | 'string' | 'table' | 'function' | 'nil' | 'any' | functype
 	//	   singletype ::= functype
 	//	   singletype ::= tabletype
-	function parseSingleType(): AST.SingleType {
+	//	   singletype ::= String | Number
+	//	   singletype ::= Name, for a type parameter or type alias in scope
+	function parseSingleType(): AST.SingleType | AST.TypeInfo {
 		let type;
-		if (token.type === Punctuator && token.value === "(")
+		if (
+			token.type === Punctuator &&
+			(token.value === "(" || token.value === "<")
+		)
 			return parseFuncType();
 		else if (token.type === Punctuator && token.value === "{")
 			return parseTableType();
-		else if (token.type === Identifier) type = token.value;
+		else if (token.type === StringLiteral || token.type === NumericLiteral) {
+			const value = token.value;
+			next();
+			return ast.literalType(value);
+		} else if (token.type === Identifier) type = token.value;
 		else if (token.type === NilLiteral) type = "nil";
 		else if (token.type === Keyword && token.value === "function")
 			type = "function";
@@ -1214,8 +1568,13 @@ export function parse(
 				//case "empty": Can't explicitly say empty
 				next();
 				return ast.simpleType(type);
-			default:
-				throw tokenError(errors.expectedType, meta, token, "<type>");
+			default: {
+				const named_type = getNamedType(type);
+				if (named_type == null)
+					throw tokenError(errors.expectedType, meta, token, "<type>");
+				next();
+				return named_type;
+			}
 		}
 	}
 
@@ -1229,14 +1588,351 @@ export function parse(
 		do {
 			if (consume("...")) {
 				const rest = parseTypeInfo();
-				rest.possibleTypes.add(ast.simpleType("nil"));
-				return ast.typeList(types, rest);
+				return ast.typeList(
+					types,
+					ast.typeInfo(new Set([...rest.possibleTypes, ast.simpleType("nil")]))
+				);
 			}
 			types.push(parseTypeInfo());
 		} while (consume(","));
 		return ast.typeList(types, empty_type);
 	}
 
+	// ### Doc comments
+	//
+	// With the `docComments` feature, the `---@` comments on the lines just
+	// before a statement are read as LuaLS annotations. `@generic`, `@param`
+	// and `@return` give the types of a function statement or of
+	// `local f = function`, and `@type` those of a local statement, unless they have type annotations of
+	// their own.
+	// `@class` declares a table type in the current scope, with the fields of
+	// its parent and of the `@field` annotations that follow it.
+
+	function readDocComments(): ?DocAnnotations {
+		const start = doc_comment_index;
+		// a comment after code on its line is about that code
+		const code_line =
+			previousToken.type === Placeholder
+				? 0
+				: previousToken.lastLine != null
+				? previousToken.lastLine
+				: previousToken.line;
+		// the comments on the lines before the statement, a line comment can't
+		// be before it on its line
+		while (
+			doc_comment_index < comments.length &&
+			commentLoc(comments[doc_comment_index]).end.line < token.line
+		)
+			doc_comment_index++;
+		// only the `---` comments on consecutive lines up to the statement are
+		// its annotations, classes can be declared by any of them
+		let first = doc_comment_index;
+		let line = token.line - 1;
+		while (first > start) {
+			const comment = comments[first - 1];
+			if (!comment.value.startsWith("-")) break;
+			if (commentLoc(comment).start.line !== line || line <= code_line) break;
+			first--;
+			line--;
+		}
+		const annotations: DocAnnotations = {
+			type_parameters: [],
+			params: new Map(),
+			returns: [],
+			types: null,
+		};
+		let class_type = null;
+		// classes are declared in the current scope, and type parameters in one
+		// of their own
+		const scope = typeScopes[typeScopes.length - 1];
+		typeScopes.push(new Map());
+		for (let i = start; i < doc_comment_index; i++) {
+			// fields follow their class on the next lines
+			if (i > start && !isNextLine(comments[i - 1], comments[i]))
+				class_type = null;
+			const match = /^-@(\w+)/.exec(comments[i].value);
+			if (match == null || commentLoc(comments[i]).start.line <= code_line)
+				continue;
+			doc_comment = comments[i];
+			doc_position = match[0].length;
+			const attached = i >= first;
+			try {
+				switch (match[1]) {
+					case "generic":
+						if (!attached) break;
+						do {
+							const name = docName();
+							if (isSimpleTypeName(name)) throw docError("<name>");
+							const type_parameter = ast.typeParameter(name);
+							typeScopes[typeScopes.length - 1].set(name, type_parameter);
+							annotations.type_parameters.push(type_parameter);
+							// constraints are not checked
+							if (docConsume(":")) parseDocType();
+						} while (docConsume(","));
+						break;
+					case "param": {
+						if (!attached) break;
+						const name = docConsume("...") ? "..." : docName();
+						const optional = docConsume("?");
+						const type = parseDocType();
+						annotations.params.set(name, optional ? optionalType(type) : type);
+						break;
+					}
+					case "return":
+						if (!attached) break;
+						do {
+							annotations.returns.push(parseDocType());
+							// the names of the values are only documentation
+							if (/^[A-Za-z_]/.test(docPeek())) docNext();
+						} while (docConsume(","));
+						break;
+					case "type": {
+						if (!attached) break;
+						const types = [];
+						do types.push(parseDocType());
+						while (docConsume(","));
+						annotations.types = types;
+						break;
+					}
+					case "class": {
+						const name = docName();
+						if (isSimpleTypeName(name)) throw docError("<name>");
+						const typeMap = new Map();
+						if (docConsume(":"))
+							parseDocType().possibleTypes.forEach(t => {
+								if (t.type === "TableType")
+									t.typeMap.forEach((type, key) => typeMap.set(key, type));
+							});
+						class_type = ast.tableType(typeMap);
+						scope.set(name, ast.typeInfo(new Set([class_type]), name));
+						break;
+					}
+					case "field": {
+						if (class_type == null) break;
+						switch (docPeek()) {
+							case "public":
+							case "protected":
+							case "private":
+							case "package":
+								docNext();
+						}
+						const name = docName();
+						const optional = docConsume("?");
+						const type = parseDocType();
+						class_type.typeMap.set(name, optional ? optionalType(type) : type);
+						break;
+					}
+					default:
+					// other annotations don't have types
+				}
+			} catch (e) {
+				if (!(e instanceof CodeError)) throw e;
+				docWarn(e);
+			}
+		}
+		typeScopes.pop();
+		return first === doc_comment_index ? null : annotations;
+	}
+
+	function isNextLine(a: AST.Comment, b: AST.Comment): boolean {
+		return commentLoc(a).end.line + 1 === commentLoc(b).start.line;
+	}
+
+	// The tokenizer gives comments their location whatever the options
+	function commentLoc(
+		comment: AST.Comment
+	): $NonMaybeType<$PropertyType<AST.Comment, "loc">> {
+		const loc = comment.loc;
+		invariant(loc != null);
+		return loc;
+	}
+
+	// Doc comments are only warned about, a bad one is ignored
+	function docError(expected: string): CodeError {
+		invariant(doc_comment != null);
+		return astError(errors.invalidDocComment, meta, doc_comment, expected);
+	}
+
+	function docWarn(err: CodeError): void {
+		if (diagnostics != null) diagnostics.push(err);
+	}
+
+	// The next token of the doc comment, or "" at its end
+	function docPeek(): string {
+		invariant(doc_comment != null);
+		doc_token.lastIndex = doc_position;
+		const match = doc_token.exec(doc_comment.value);
+		return match == null ? "" : match[1];
+	}
+
+	function docNext(): string {
+		const value = docPeek();
+		if (value !== "") doc_position = doc_token.lastIndex;
+		return value;
+	}
+
+	function docConsume(value: string): boolean {
+		if (docPeek() !== value) return false;
+		docNext();
+		return true;
+	}
+
+	function docExpect(value: string): void {
+		if (!docConsume(value)) throw docError(`«${value}»`);
+	}
+
+	function docName(): string {
+		const name = docNext();
+		if (!/^[A-Za-z_]/.test(name)) throw docError("<name>");
+		return name;
+	}
+
+	function docTypeInfo(type: AST.SingleType | AST.TypeInfo): AST.TypeInfo {
+		return type.type === "TypeInfo" ? type : ast.typeInfo(new Set([type]));
+	}
+
+	//	   doctype ::= docsuffixedtype {'|' docsuffixedtype}
+	//	   docsuffixedtype ::= docprimarytype {'[]' | '?'}
+	function parseDocType(): AST.TypeInfo {
+		const types = [];
+		do {
+			let type = parseDocPrimaryType();
+			while (true) {
+				if (docConsume("[]")) type = docTypeInfo(ast.arrayType(type));
+				else if (docConsume("?")) type = optionalType(type);
+				else break;
+			}
+			types.push(type);
+		} while (docConsume("|"));
+		// an alias used alone keeps its name
+		if (types.length === 1) return types[0];
+		const s = new Set();
+		types.forEach(t => t.possibleTypes.forEach(single => s.add(single)));
+		return ast.typeInfo(s);
+	}
+
+	//	   docprimarytype ::= Name | String | Number | '(' doctype ')'
+	//	   docprimarytype ::= 'fun' '(' [docparam {',' docparam}] ')' [':' doctype {',' doctype}]
+	//	   docprimarytype ::= 'table' '<' doctype ',' doctype '>'
+	//	   docprimarytype ::= '{' [docfield {',' docfield}] '}'
+	//	   docprimarytype ::= '[' doctype {',' doctype} ']'
+	//	   docparam ::= Name ['?'] [':' doctype] | '...' [':' doctype]
+	//	   docfield ::= Name ['?'] ':' doctype | '[' doctype ']' ':' doctype
+	function parseDocPrimaryType(): AST.TypeInfo {
+		const value = docNext();
+		if (value === "(") {
+			const type = parseDocType();
+			docExpect(")");
+			return type;
+		}
+		if (value === "{") return docTypeInfo(parseDocTableType());
+		if (value === "[") {
+			const types = [];
+			do types.push(parseDocType());
+			while (docConsume(","));
+			docExpect("]");
+			return docTypeInfo(ast.tupleType(ast.typeList(types, empty_type)));
+		}
+		if (value === "fun" && docPeek() === "(")
+			return docTypeInfo(parseDocFunctionType());
+		if (value === "table" && docConsume("<")) {
+			const key = parseDocType();
+			docExpect(",");
+			const indexer = ast.tableIndexer(key, parseDocType());
+			docExpect(">");
+			return docTypeInfo(ast.tableType(new Map(), indexer));
+		}
+		if (/^["']/.test(value))
+			return docTypeInfo(ast.literalType(value.slice(1, -1)));
+		if (/^\d/.test(value)) return docTypeInfo(ast.literalType(Number(value)));
+		switch (value) {
+			case "number":
+			case "boolean":
+			case "string":
+			case "table":
+			case "function":
+			case "nil":
+			case "any":
+				return docTypeInfo(ast.simpleType(value));
+			// the LuaLS names of the same types
+			case "integer":
+				return docTypeInfo(ast.simpleType("number"));
+			case "true":
+			case "false":
+				return docTypeInfo(ast.simpleType("boolean"));
+			case "unknown":
+				return docTypeInfo(ast.simpleType("any"));
+			default: {
+				// the types captured from arguments, like `T`, aren't known
+				if (value.startsWith("`")) return any_type;
+				if (!/^[A-Za-z_]/.test(value)) throw docError("<type>");
+				// like aliases and classes of other files
+				const named_type = getNamedType(value);
+				if (named_type != null) return docTypeInfo(named_type);
+				invariant(doc_comment != null);
+				docWarn(astError(errors.unknownDocType, meta, doc_comment, value));
+				return any_type;
+			}
+		}
+	}
+
+	function parseDocFunctionType(): AST.FunctionType {
+		docExpect("(");
+		const parameters = [];
+		let rest = null;
+		if (!docConsume(")")) {
+			do {
+				if (docConsume("...")) {
+					rest = optionalType(docConsume(":") ? parseDocType() : any_type);
+					break;
+				}
+				// the names of the parameters are only documentation
+				docName();
+				const optional = docConsume("?");
+				const type = docConsume(":") ? parseDocType() : any_type;
+				parameters.push(optional ? optionalType(type) : type);
+			} while (docConsume(","));
+			docExpect(")");
+		}
+		const returns = [];
+		if (docConsume(":"))
+			do returns.push(parseDocType());
+			while (docConsume(","));
+		return ast.functionType(
+			parameters.length > 0 || rest != null
+				? ast.typeList(parameters, rest || empty_type)
+				: ast.typeList([], nil_type),
+			returns.length > 0
+				? ast.typeList(returns, empty_type)
+				: ast.typeList([], nil_type),
+			[]
+		);
+	}
+
+	function parseDocTableType(): AST.TableType {
+		const map = new Map();
+		let indexer = null;
+		while (!docConsume("}")) {
+			if (indexer == null && docConsume("[")) {
+				const key = parseDocType();
+				docExpect("]");
+				docExpect(":");
+				indexer = ast.tableIndexer(key, parseDocType());
+			} else {
+				const name = docName();
+				const optional = docConsume("?");
+				docExpect(":");
+				const type = parseDocType();
+				map.set(name, optional ? optionalType(type) : type);
+			}
+			if (!docConsume(",")) {
+				docExpect("}");
+				break;
+			}
+		}
+		return ast.tableType(map, indexer);
+	}
+
 	//	   Identifier ::= Name
 
 	function parseIdentifier(): AST.Identifier {
@@ -1255,12 +1951,17 @@ export function parse(
 	// For local functions there's a boolean parameter which needs to be set
 	// when parsing the declaration.
 	//
-	//	   funcdecl ::= '(' [parlist] ')' block 'end'
+	//	   funcdecl ::= [typeparams] '(' [parlist] ')' block 'end'
 	//	   parlist ::= Name {',' Name} | [',' '...'] | '...'
 
-	function parseFunctionBase(): AST.FunctionBase {
+	function parseFunctionBase(
+		annotations: ?DocAnnotations = null
+	): AST.FunctionBase {
 		const parameters = [];
 		let parameter_types = null;
+		let type_parameters = parseTypeParameters();
+		if (annotations != null && type_parameters.length === 0)
+			type_parameters = annotations.type_parameters;
 		expect("(");
 		let has_varargs = false;
 
@@ -1290,17 +1991,38 @@ export function parse(
 				}
 			}
 			parameter_types = parseTypeList(true);
+			if (
+				annotations != null &&
+				annotations.params.size > 0 &&
+				parameter_types.rest === any_type
+			) {
+				const params = annotations.params;
+				parameter_types = ast.typeList(
+					parameters.map(p => params.get(p.name) || any_type),
+					has_varargs ? optionalType(params.get("...") || any_type) : empty_type
+				);
+			}
 
 			expect(")");
 		}
 
-		const body = parseFunctionBlock();
+		const body = parseFunctionBlock(
+			annotations != null && annotations.returns.length > 0
+				? ast.typeList(annotations.returns, empty_type)
+				: null
+		);
 		expect("end");
 		destroyScope();
 
 		if (parameter_types == null) parameter_types = ast.typeList([], empty_type);
 
-		return ast.functionBase(parameters, has_varargs, parameter_types, body);
+		return ast.functionBase(
+			parameters,
+			has_varargs,
+			parameter_types,
+			body,
+			type_parameters
+		);
 	}
 
 	// Parse the function name as identifiers and member expressions.
@@ -1532,7 +2254,7 @@ export function parse(
 	}
 
 	//	   prefixexp ::= prefix {suffix}
-	//	   prefix ::= Name | '(' exp ')'
+	//	   prefix ::= Name | '(' exp ')' | '(' exp '::' typeinfo ')'
 	//	   suffix ::= '[' exp ']' | '.' Name | ':' Name args | args
 	//
 	//	   args ::= '(' [explist] ')' | tableconstructor | String
@@ -1545,6 +2267,7 @@ export function parse(
 		| AST.StringCallExpression
 		| AST.TableCallExpression
 		| AST.ParenthesisExpression
+		| AST.CastExpression
 	) {
 		let base:
 			| AST.Identifier
@@ -1553,6 +2276,7 @@ export function parse(
 			| AST.CallExpression
 			| AST.StringCallExpression
 			| AST.ParenthesisExpression
+			| AST.CastExpression
 			| AST.TableCallExpression;
 		let marker;
 
@@ -1564,9 +2288,16 @@ export function parse(
 			// Set the parent scope.
 		} else if (consume("(")) {
 			const inside = parseExpectedExpression();
-			expect(")");
-			pushLocation(marker);
-			base = finishNode(ast.parenthesisExpression(inside));
+			if (features.typeCheck && consume("::")) {
+				const typeInfo = parseTypeInfo();
+				expect(")");
+				pushLocation(marker);
+				base = finishNode(ast.castExpression(inside, typeInfo));
+			} else {
+				expect(")");
+				pushLocation(marker);
+				base = finishNode(ast.parenthesisExpression(inside));
+			}
 		} else {
 			return null;
 		}
@@ -1695,7 +2426,9 @@ export function parse(
 			pushLocation(marker);
 			next();
 			createScope(true);
-			const base = parseFunctionBase();
+			const annotations = function_doc;
+			function_doc = null;
+			const base = parseFunctionBase(annotations);
 			return finishNode(ast.functionExpression(base));
 		} else if (consume("{")) {
 			pushLocation(marker);
@@ -1733,6 +2466,20 @@ export function parse(
 	// reading in the new lookahead token.
 
 	function next() {
+		if (Keyword === token.type) {
+			switch (token.value) {
+				case "if":
+				case "do":
+				case "function":
+				case "repeat":
+					blockDepth++;
+					break;
+				case "end":
+				case "until":
+					blockDepth--;
+					break;
+			}
+		}
 		previousToken = token;
 		token = lookahead;
 		lookahead = lex();
@@ -1778,8 +2525,12 @@ export function parse(
 
 	// Check if the token syntactically closes a block.
 
+	function isEOF(token) {
+		return Placeholder === token.type && token.value === "EOF";
+	}
+
 	function isBlockFollow(token) {
-		if (Placeholder === token.type && token.value === "EOF") return true;
+		if (isEOF(token)) return true;
 		if (Keyword !== token.type) return false;
 		switch (token.value) {
 			case "else":
@@ -1799,12 +2550,14 @@ export function parse(
 	function createScope(isFunction) {
 		scopeDepth++;
 		scopes.push([]);
+		typeScopes.push(new Map());
 		function_scope.push(isFunction);
 	}
 
 	// Exit and remove the current scope.
 	function destroyScope() {
 		scopes.pop();
+		typeScopes.pop();
 		function_scope.pop();
 		scopeDepth--;
 	}
@@ -1854,7 +2607,17 @@ export function parse(
 		}
 	}
 
-	const chunk = parseChunk();
+	let chunk;
+	try {
+		chunk = parseChunk();
+	} catch (e) {
+		// Errors outside of statements can't be recovered from, so only an empty
+		// chunk is returned.
+		if (diagnostics == null || !(e instanceof CodeError)) throw e;
+		reportError(e);
+		locations.length = 0;
+		chunk = ast.chunk(ast.functionBlock([], ast.typeList([], any_type)), meta);
+	}
 	if (options.comments) chunk.comments = comments;
 
 	if (locations.length > 0)
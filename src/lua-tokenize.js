@@ -29,6 +29,7 @@ export type TokenizerOptions = {|
 	+features?: {|
 		+const_?: boolean,
 		+typeCheck?: boolean,
+		+docComments?: boolean,
 	|},
 |};
 
@@ -173,13 +174,19 @@ export function* tokenize(
 				if (61 === next) return scanPunctuator("<=");
 				return scanPunctuator("<");
 
+			case 63: // ?
+				if (!features.typeCheck) break;
+				return scanPunctuator("?");
+
 			case 126: // ~
 				if (61 === next) return scanPunctuator("~=");
 				if (!features.bitwiseOperators) break;
 				return scanPunctuator("~");
 
 			case 58: // :
-				if (features.labels) if (58 === next) return scanPunctuator("::");
+				// :: also starts the type of a cast
+				if (features.labels || features.typeCheck)
+					if (58 === next) return scanPunctuator("::");
 				return scanPunctuator(":");
 
 			case 91: // [
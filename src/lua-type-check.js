@@ -2,7 +2,7 @@
 import * as AST from "./ast-types";
 
 import { ast, parse, parseFile } from "./lua-parse";
-import { astError, errors } from "./errors";
+import { astError, CodeError, errors } from "./errors";
 
 import fs from "fs";
 import invariant from "assert";
@@ -26,6 +26,28 @@ const table_type = ast.typeInfo(new Set([table_single]));
 const function_type = ast.typeInfo(new Set([function_single]));
 const empty_type = ast.typeInfo(new Set([empty_single]));
 
+// Table types can be recursive, through the self parameter of their methods.
+// The functions going through them only do so once at a time for each pair of
+// types, and get result for the pairs already in progress.
+const in_progress: Array<[string, AST.SingleType, ?AST.SingleType]> = [];
+
+function guarded<T>(
+	op: string,
+	a: AST.SingleType,
+	b: ?AST.SingleType,
+	result: T,
+	f: () => T
+): T {
+	if (in_progress.some(([o, x, y]) => o === op && x === a && y === b))
+		return result;
+	in_progress.push([op, a, b]);
+	try {
+		return f();
+	} finally {
+		in_progress.pop();
+	}
+}
+
 function isSupertype(sup: AST.TypeInfo, sub: AST.TypeInfo): boolean {
 	return [...sub.possibleTypes].every(sub_type =>
 		[...sup.possibleTypes].some(sup_type =>
@@ -46,6 +68,11 @@ function isSupertypeSingle(sup: AST.SingleType, sub: AST.SingleType): boolean {
 	if (sup.type === "SimpleType" && sup.value === "any") return true;
 	// should this be allowed?
 	if (sub.type === "SimpleType" && sub.value === "any") return true;
+	// a literal type is a subtype of its base type
+	if (sub.type === "LiteralType") {
+		if (sup.type === "LiteralType") return sub.value === sup.value;
+		return isSupertypeSingle(sup, baseSingle(sub));
+	}
 	if (sub.type === "SimpleType" && sup.type === "SimpleType")
 		return sub.value === sup.value;
 	if (
@@ -57,23 +84,91 @@ function isSupertypeSingle(sup: AST.SingleType, sub: AST.SingleType): boolean {
 	if (
 		sup.type === "SimpleType" &&
 		sup.value === "table" &&
-		sub.type === "TableType"
+		(sub.type === "TableType" ||
+			sub.type === "ArrayType" ||
+			sub.type === "TupleType")
 	)
 		return true;
-	if (sub.type === "FunctionType" && sup.type === "FunctionType")
+	if (sub.type === "FunctionType" && sup.type === "FunctionType") {
+		// A generic function can be used where its instance is expected
+		const sub_ = instantiate(sub, sup.parameter_types);
 		return (
-			isSupertypeList(sup.parameter_types, sub.parameter_types) &&
-			isSupertypeList(sup.return_types, sub.return_types)
+			acceptsArguments(sub_.parameter_types, sup.parameter_types) &&
+			isSupertypeList(sup.return_types, sub_.return_types)
 		);
+	}
 	if (sub.type === "TableType" && sup.type === "TableType")
-		return [...sub.typeMap.keys(), ...sup.typeMap.keys()].every(name =>
-			isSupertype(
-				sup.typeMap.get(name) || nil_type,
-				sub.typeMap.get(name) || nil_type
-			)
+		return guarded("isSupertype", sup, sub, true, () =>
+			isSupertypeTable(sup, sub)
 		);
+	if (sub.type === "ArrayType" && sup.type === "ArrayType")
+		return isSupertype(sup.elementType, sub.elementType);
+	if (sub.type === "TupleType" && sup.type === "TupleType")
+		return isSupertypeList(sup.elementTypes, sub.elementTypes);
+	// an array is a tuple of values that can be nil
+	if (sub.type === "ArrayType" && sup.type === "TupleType")
+		return isSupertypeList(
+			sup.elementTypes,
+			ast.typeList([], joinTypes(sub.elementType, nil_type))
+		);
+	// a tuple is also an array of all its values
+	if (
+		sub.type === "TupleType" &&
+		(sup.type === "ArrayType" || sup.type === "TableType")
+	)
+		return isSupertypeSingle(sup, ast.arrayType(tupleValues(sub)));
+	// arrays have no named fields
+	if (sub.type === "ArrayType" && sup.type === "TableType") {
+		const indexer = sup.indexer;
+		if (
+			indexer != null &&
+			(!isSupertype(indexer.key, number_type) ||
+				!isSupertype(indexer.value, sub.elementType))
+		)
+			return false;
+		return [...sup.typeMap.values()].every(t => isSupertype(t, nil_type));
+	}
+	// an empty table is an empty array, and so is a map with number keys
+	if (sub.type === "TableType" && sup.type === "ArrayType") {
+		const indexer = sub.indexer;
+		return (
+			sub.typeMap.size === 0 &&
+			(indexer == null ||
+				(isSupertype(indexer.key, number_type) &&
+					isSupertype(sup.elementType, indexer.value)))
+		);
+	}
 
-	return false;
+	// type parameters are only compatible with themselves
+	return sub === sup;
+}
+
+function isSupertypeTable(sup: AST.TableType, sub: AST.TableType): boolean {
+	const sup_indexer = sup.indexer;
+	const sub_indexer = sub.indexer;
+	if (sup_indexer != null) {
+		// a record can be used as a map if all its fields fit
+		if (sub_indexer == null) {
+			if (sub.typeMap.size > 0 && !isSupertype(sup_indexer.key, string_type))
+				return false;
+		} else if (
+			!isSupertype(sub_indexer.key, sup_indexer.key) ||
+			!isSupertype(sup_indexer.value, sub_indexer.value)
+		)
+			return false;
+	}
+	// the other table can have more metamethods
+	const metatable = sup.metatable;
+	if (
+		metatable != null &&
+		[...metatable.typeMap].some(
+			([name, type]) => !isSupertype(type, getMetamethod(sub, name) || nil_type)
+		)
+	)
+		return false;
+	return [...sub.typeMap.keys(), ...sup.typeMap.keys()].every(name =>
+		isSupertype(fieldType(sup, name), fieldType(sub, name))
+	);
 }
 
 function isSupertypeList(sup: AST.TypeList, sub: AST.TypeList): boolean {
@@ -86,35 +181,376 @@ function isSupertypeList(sup: AST.TypeList, sub: AST.TypeList): boolean {
 	return isSupertype(sup.rest, sub.rest);
 }
 
+// Parameters are contravariant: a function can be used where another is
+// expected if it accepts all the arguments the other one accepts, including
+// the ones in the rest. Missing parameters only accept nil, and an argument of
+// type any is only accepted by a parameter of type any, so (number) => () is
+// not an (any) => ().
+function acceptsArguments(params: AST.TypeList, args: AST.TypeList): boolean {
+	const accepts = (param: AST.TypeInfo, arg: AST.TypeInfo): boolean =>
+		isEmpty(param)
+			? hasNoValue(arg)
+			: isSupertype(param, arg) && (!hasAny(arg) || hasAny(param));
+	const n = Math.max(params.list.length, args.list.length);
+	for (let i = 0; i < n; i++)
+		if (!accepts(getType(params, i), getType(args, i))) return false;
+	return accepts(params.rest, args.rest);
+}
+
+// Type of t.name, which is nil for fields not in the table or in the __index
+// of its metatable
+function fieldType(t: AST.TableType, name: string): AST.TypeInfo {
+	const type = t.typeMap.get(name);
+	if (type != null) return type;
+	const indexer = t.indexer;
+	if (indexer != null && isSupertype(indexer.key, string_type))
+		return indexer.value;
+	const metatable = t.metatable;
+	if (metatable == null) return nil_type;
+	const index = metatable.typeMap.get("__index");
+	if (index == null) return nil_type;
+	return guarded("fieldType", t, null, nil_type, () =>
+		joinTypes(
+			...[...index.possibleTypes].map(single => {
+				if (single.type === "TableType") return fieldType(single, name);
+				// __index(t, name) gives the value
+				if (single.type === "FunctionType")
+					return getType(single.return_types, 0);
+				return isSimpleSingle(single, "nil") ? nil_type : any_type;
+			})
+		)
+	);
+}
+
+type Scope = { +[identifier: string]: ?AST.TypeInfo };
+
+type Narrowing = {|
+	// where the variable is declared
+	scope: Scope,
+	name: string,
+	type: AST.TypeInfo,
+|};
+
+type TypeBindings = Map<AST.TypeParameter, Array<AST.SingleType>>;
+
+// Finds the types the type parameters in bindings must have so that arg can
+// be assigned to param.
+function inferBindings(
+	param: AST.TypeInfo,
+	arg: AST.TypeInfo,
+	bindings: TypeBindings
+): void {
+	const params = [...param.possibleTypes];
+	const others = params.filter(p => p.type !== "TypeParameter");
+	params.forEach(p => {
+		const bound = p.type === "TypeParameter" ? bindings.get(p) : null;
+		if (bound == null) return;
+		// the parameter gets the types not covered by the other possible types
+		arg.possibleTypes.forEach(a => {
+			if (others.some(o => isSupertypeSingle(o, a))) return;
+			bound.push(
+				a.type === "SimpleType" && a.value === "empty" ? nil_single : a
+			);
+		});
+	});
+	others.forEach(p =>
+		arg.possibleTypes.forEach(a => {
+			if (p.type === "FunctionType" && a.type === "FunctionType") {
+				inferListBindings(p.parameter_types, a.parameter_types, bindings);
+				inferListBindings(p.return_types, a.return_types, bindings);
+			} else if (p.type === "TableType" && a.type === "TableType")
+				guarded("inferBindings", p, a, undefined, () =>
+					inferTableBindings(p, a, bindings)
+				);
+			else if (p.type === "TableType" && a.type === "ArrayType") {
+				// an array is a map with number keys
+				const p_indexer = p.indexer;
+				if (p_indexer == null) return;
+				inferBindings(p_indexer.key, number_type, bindings);
+				inferBindings(p_indexer.value, a.elementType, bindings);
+			} else if (p.type === "ArrayType" && a.type === "TableType") {
+				const a_indexer = a.indexer;
+				if (a_indexer != null)
+					inferBindings(p.elementType, a_indexer.value, bindings);
+			} else if (p.type === "ArrayType" && a.type === "ArrayType")
+				inferBindings(p.elementType, a.elementType, bindings);
+			else if (p.type === "ArrayType" && a.type === "TupleType")
+				inferBindings(p.elementType, tupleValues(a), bindings);
+			else if (p.type === "TupleType" && a.type === "TupleType")
+				inferListBindings(p.elementTypes, a.elementTypes, bindings);
+		})
+	);
+}
+
+function inferTableBindings(
+	p: AST.TableType,
+	a: AST.TableType,
+	bindings: TypeBindings
+): void {
+	p.typeMap.forEach((type, name) =>
+		inferBindings(type, fieldType(a, name), bindings)
+	);
+	const p_indexer = p.indexer;
+	const a_indexer = a.indexer;
+	if (p_indexer == null) return;
+	if (a_indexer != null) {
+		inferBindings(p_indexer.key, a_indexer.key, bindings);
+		inferBindings(p_indexer.value, a_indexer.value, bindings);
+	}
+	// the other fields of a record are entries with string keys
+	const fields = [...a.typeMap.keys()].filter(name => !p.typeMap.has(name));
+	if (fields.length > 0) {
+		inferBindings(p_indexer.key, string_type, bindings);
+		fields.forEach(name =>
+			inferBindings(p_indexer.value, fieldType(a, name), bindings)
+		);
+	}
+}
+
+function inferListBindings(
+	params: AST.TypeList,
+	args: AST.TypeList,
+	bindings: TypeBindings
+): void {
+	const n = Math.max(params.list.length, args.list.length);
+	for (let i = 0; i < n; i++)
+		inferBindings(getType(params, i), getType(args, i), bindings);
+	inferBindings(params.rest, args.rest, bindings);
+}
+
+// Replaces the type parameters in map. Types without them are returned as is.
+function substitute(
+	t: AST.TypeInfo,
+	map: Map<AST.TypeParameter, AST.TypeInfo>
+): AST.TypeInfo {
+	const singles: Array<AST.SingleType> = [];
+	let changed = false;
+	t.possibleTypes.forEach(single => {
+		const replacement =
+			single.type === "TypeParameter" ? map.get(single) : null;
+		if (replacement != null) {
+			singles.push(...replacement.possibleTypes);
+			changed = true;
+		} else {
+			const s = substituteSingle(single, map);
+			singles.push(s);
+			if (s !== single) changed = true;
+		}
+	});
+	return changed ? ast.typeInfo(new Set(singles)) : t;
+}
+
+function substituteSingle(
+	t: AST.SingleType,
+	map: Map<AST.TypeParameter, AST.TypeInfo>
+): AST.SingleType {
+	if (t.type === "FunctionType") {
+		const parameter_types = substituteList(t.parameter_types, map);
+		const return_types = substituteList(t.return_types, map);
+		if (
+			parameter_types === t.parameter_types &&
+			return_types === t.return_types
+		)
+			return t;
+		return ast.functionType(parameter_types, return_types, t.type_parameters);
+	} else if (t.type === "TableType")
+		return guarded("substitute", t, null, t, () => substituteTable(t, map));
+	else if (t.type === "ArrayType") {
+		const elementType = substitute(t.elementType, map);
+		return elementType === t.elementType ? t : ast.arrayType(elementType);
+	} else if (t.type === "TupleType") {
+		const elementTypes = substituteList(t.elementTypes, map);
+		return elementTypes === t.elementTypes ? t : ast.tupleType(elementTypes);
+	}
+	return t;
+}
+
+function substituteTable(
+	t: AST.TableType,
+	map: Map<AST.TypeParameter, AST.TypeInfo>
+): AST.TableType {
+	const typeMap: Map<string, AST.TypeInfo> = new Map();
+	let changed = false;
+	t.typeMap.forEach((type, name) => {
+		const s = substitute(type, map);
+		typeMap.set(name, s);
+		if (s !== type) changed = true;
+	});
+	let indexer = t.indexer;
+	if (indexer != null) {
+		const key = substitute(indexer.key, map);
+		const value = substitute(indexer.value, map);
+		if (key !== indexer.key || value !== indexer.value) {
+			indexer = ast.tableIndexer(key, value);
+			changed = true;
+		}
+	}
+	const metatable = t.metatable;
+	const s =
+		metatable != null
+			? guarded("substitute", metatable, null, metatable, () =>
+					substituteTable(metatable, map)
+			  )
+			: null;
+	if (s !== metatable) changed = true;
+	return changed ? ast.tableType(typeMap, indexer, s) : t;
+}
+
+function substituteList(
+	tl: AST.TypeList,
+	map: Map<AST.TypeParameter, AST.TypeInfo>
+): AST.TypeList {
+	const list = tl.list.map(t => substitute(t, map));
+	const rest = substitute(tl.rest, map);
+	if (rest === tl.rest && list.every((t, i) => t === tl.list[i])) return tl;
+	return ast.typeList(list, rest);
+}
+
+// Replaces the type parameters of a generic function with the types inferred
+// from the arguments. Type parameters that can't be inferred become any.
+function instantiate(
+	t: AST.FunctionType,
+	args: AST.TypeList
+): AST.FunctionType {
+	if (t.type_parameters.length === 0) return t;
+	const bindings: TypeBindings = new Map(t.type_parameters.map(p => [p, []]));
+	inferListBindings(t.parameter_types, args, bindings);
+	const map: Map<AST.TypeParameter, AST.TypeInfo> = new Map();
+	bindings.forEach((singles, p) =>
+		map.set(p, singles.length > 0 ? ast.typeInfo(new Set(singles)) : any_type)
+	);
+	return ast.functionType(
+		substituteList(t.parameter_types, map),
+		substituteList(t.return_types, map)
+	);
+}
+
+// Type of a method called with a colon, which passes self implicitly
+function withoutSelf(t: AST.FunctionType): AST.FunctionType {
+	const params = t.parameter_types;
+	if (params.list.length === 0) return t;
+	return ast.functionType(
+		ast.typeList(params.list.slice(1), params.rest),
+		t.return_types,
+		t.type_parameters
+	);
+}
+
+// Type of the metamethod name of t, null without a metatable
+function getMetamethod(t: AST.TableType, name: string): ?AST.TypeInfo {
+	const metatable = t.metatable;
+	return metatable != null ? metatable.typeMap.get(name) : null;
+}
+
+// Type of the metamethod name of values of type t, null unless all of them
+// have it
+function metamethodOf(t: AST.TypeInfo, name: string): ?AST.TypeInfo {
+	const methods: Array<AST.TypeInfo> = [];
+	for (const single of t.possibleTypes) {
+		const method =
+			single.type === "TableType" ? getMetamethod(single, name) : null;
+		if (method == null) return null;
+		methods.push(method);
+	}
+	return joinTypes(...methods);
+}
+
 function singleToType(a: AST.SingleType): AST.TypeInfo {
 	return ast.typeInfo(new Set([a]));
 }
 
+// Literal types are replaced with their base type, others are left as is
+function baseSingle(t: AST.SingleType): AST.SingleType {
+	if (t.type !== "LiteralType") return t;
+	return typeof t.value === "number" ? number_single : string_single;
+}
+
 function isSimple(t: AST.TypeInfo, value: string): boolean {
-	return [...t.possibleTypes].every(
-		single =>
-			single.type === "SimpleType" &&
-			(single.value === value || single.value === "any")
-	);
+	return [...t.possibleTypes]
+		.map(baseSingle)
+		.every(
+			single =>
+				single.type === "SimpleType" &&
+				(single.value === value || single.value === "any")
+		);
 }
 
 function isSameSimple(t1: AST.TypeInfo, t2: AST.TypeInfo): boolean {
-	return [...t1.possibleTypes].every(
-		a =>
-			a.type === "SimpleType" &&
-			(a.value === "any" ||
-				[...t2.possibleTypes].every(
-					b =>
-						b.type === "SimpleType" &&
-						(b.value === "any" || a.value === b.value)
-				))
-	);
+	return [...t1.possibleTypes]
+		.map(baseSingle)
+		.every(
+			a =>
+				a.type === "SimpleType" &&
+				(a.value === "any" ||
+					[...t2.possibleTypes]
+						.map(baseSingle)
+						.every(
+							b =>
+								b.type === "SimpleType" &&
+								(b.value === "any" || a.value === b.value)
+						))
+		);
+}
+
+// The types of literal expressions are replaced with their base types, so a
+// variable initialized with a literal can take other values. Types without
+// them are returned as is.
+function widen(t: AST.TypeInfo): AST.TypeInfo {
+	const singles: Array<AST.SingleType> = [];
+	let changed = false;
+	t.possibleTypes.forEach(single => {
+		const s = widenSingle(single);
+		singles.push(s);
+		if (s !== single) changed = true;
+	});
+	return changed ? ast.typeInfo(new Set(singles)) : t;
+}
+
+function widenSingle(t: AST.SingleType): AST.SingleType {
+	if (t.type === "LiteralType") return t.fresh === true ? baseSingle(t) : t;
+	else if (t.type === "TableType")
+		return guarded("widen", t, null, t, () => widenTable(t));
+	else if (t.type === "ArrayType") {
+		const elementType = widen(t.elementType);
+		return elementType === t.elementType ? t : ast.arrayType(elementType);
+	} else if (t.type === "TupleType") {
+		const types = t.elementTypes;
+		const list = types.list.map(widen);
+		const rest = widen(types.rest);
+		if (rest === types.rest && list.every((w, i) => w === types.list[i]))
+			return t;
+		return ast.tupleType(ast.typeList(list, rest));
+	}
+	return t;
+}
+
+function widenTable(t: AST.TableType): AST.TableType {
+	const typeMap: Map<string, AST.TypeInfo> = new Map();
+	let changed = false;
+	t.typeMap.forEach((type, name) => {
+		const w = widen(type);
+		typeMap.set(name, w);
+		if (w !== type) changed = true;
+	});
+	let indexer = t.indexer;
+	if (indexer != null) {
+		const value = widen(indexer.value);
+		if (value !== indexer.value) {
+			indexer = ast.tableIndexer(indexer.key, value);
+			changed = true;
+		}
+	}
+	return changed ? ast.tableType(typeMap, indexer, t.metatable) : t;
 }
 
 function isAny(t: AST.TypeInfo): boolean {
 	return isSimple(t, "any");
 }
 
+function hasAny(t: AST.TypeInfo): boolean {
+	return [...t.possibleTypes].some(single => isSimpleSingle(single, "any"));
+}
+
 function isNumber(t: AST.TypeInfo): boolean {
 	return isSimple(t, "number");
 }
@@ -123,10 +559,6 @@ function isString(t: AST.TypeInfo): boolean {
 	return isSimple(t, "string");
 }
 
-function isBoolean(t: AST.TypeInfo): boolean {
-	return isSimple(t, "boolean");
-}
-
 function isTable(t: AST.TypeInfo): boolean {
 	return isSimple(t, "table");
 }
@@ -144,11 +576,36 @@ function firstType(tl: AST.TypeList): AST.TypeInfo {
 	return getType(tl, 0);
 }
 
+// Whether t is the type of a missing value, like a parameter or a result
+// beyond the end of a type list
+function isEmpty(t: AST.TypeInfo): boolean {
+	return [...t.possibleTypes].every(single => isSimpleSingle(single, "empty"));
+}
+
+// Whether t is only nil or empty, so it has no value
+function hasNoValue(t: AST.TypeInfo): boolean {
+	return [...t.possibleTypes].every(single =>
+		isSimpleSingle(single, "nil", "empty")
+	);
+}
+
+// Types of the values in a tuple, without the nil after its end
+function tupleValues(t: AST.TupleType): AST.TypeInfo {
+	const types = t.elementTypes;
+	if (hasNoValue(types.rest)) return joinTypes(...types.list);
+	return joinTypes(...types.list, removeNil(types.rest));
+}
+
 function joinTypes(...ts: $ReadOnlyArray<AST.TypeInfo>): AST.TypeInfo {
 	return ast.typeInfo(new Set([].concat(...ts.map(t => [...t.possibleTypes]))));
 }
 
 function typeToString(t: AST.TypeInfo): string {
+	if (t.name != null) return t.name;
+	// T | nil is printed as ?T
+	const non_nil = withoutNil(t);
+	if (non_nil !== t && non_nil.possibleTypes.size === 1)
+		return `?${typeToString(non_nil)}`;
 	return [...t.possibleTypes]
 		.map(single => singleTypeToString(single))
 		.join(" | ");
@@ -156,27 +613,180 @@ function typeToString(t: AST.TypeInfo): string {
 
 function singleTypeToString(t: AST.SingleType): string {
 	if (t.type === "SimpleType") return t.value;
-	else if (t.type === "FunctionType")
-		return `(${typeListToString(t.parameter_types)}) => (${typeListToString(
-			t.return_types
-		)})`;
+	else if (t.type === "LiteralType")
+		return typeof t.value === "string" ? JSON.stringify(t.value) : `${t.value}`;
+	else if (t.type === "FunctionType") {
+		const type_parameters =
+			t.type_parameters.length > 0
+				? `<${t.type_parameters.map(p => p.name).join(", ")}>`
+				: "";
+		return `${type_parameters}(${typeListValuesToString(
+			t.parameter_types
+		)}) => (${typeListValuesToString(t.return_types)})`;
+	} else if (t.type === "TypeParameter") return t.name;
 	else if (t.type === "TableType")
-		return `{${[...t.typeMap.entries()]
-			.map(([k, v]) => `${k}: ${typeToString(v)}`)
-			.join(", ")}}`;
+		return guarded("typeToString", t, null, "{...}", () =>
+			tableTypeToString(t)
+		);
+	else if (t.type === "ArrayType") return `{${typeToString(t.elementType)}}`;
+	else if (t.type === "TupleType")
+		return `{${typeListValuesToString(t.elementTypes)}}`;
 	throw new Error(`Unknow AST.TypeInfo type '${t.type}'`);
 }
 
+function tableTypeToString(t: AST.TableType): string {
+	const fields = [...t.typeMap.entries()].map(([k, v]) => {
+		const non_nil = withoutNil(v);
+		// optional fields are printed as name?: T
+		if (non_nil !== v && v.name == null)
+			return `${k}?: ${typeToString(non_nil)}`;
+		return `${k}: ${typeToString(v)}`;
+	});
+	const indexer = t.indexer;
+	if (indexer != null)
+		fields.unshift(
+			`[${typeToString(indexer.key)}]: ${typeToString(indexer.value)}`
+		);
+	const metatable = t.metatable;
+	if (metatable != null)
+		metatable.typeMap.forEach((v, k) => {
+			if (metamethod_names.has(k))
+				fields.push(`metamethod ${k}: ${typeToString(v)}`);
+		});
+	return `{${fields.join(", ")}}`;
+}
+
 function isOnlyNil(t: AST.TypeInfo): boolean {
 	return [...t.possibleTypes].every(
 		single => single.type === "SimpleType" && single.value === "nil"
 	);
 }
 
+// Keeps only the possible types for which keep is true. If none is left, the
+// value can't get there, and the type is left as is.
+function filterType(
+	t: AST.TypeInfo,
+	keep: AST.SingleType => boolean
+): AST.TypeInfo {
+	const singles = [...t.possibleTypes].filter(keep);
+	if (singles.length === t.possibleTypes.size || singles.length === 0) return t;
+	return ast.typeInfo(new Set(singles));
+}
+
+function isSimpleSingle(t: AST.SingleType, ...values: Array<string>): boolean {
+	return t.type === "SimpleType" && values.includes(t.value);
+}
+
+function withoutNil(t: AST.TypeInfo): AST.TypeInfo {
+	return filterType(t, single => !isSimpleSingle(single, "nil"));
+}
+
+// Type of a value known not to be nil
+function removeNil(t: AST.TypeInfo): AST.TypeInfo {
+	return filterType(t, single => !isSimpleSingle(single, "nil", "empty"));
+}
+
+// Type of a value known to be nil
+function nilPart(t: AST.TypeInfo): AST.TypeInfo {
+	if (isOnlyNil(t)) return t;
+	return [...t.possibleTypes].some(single =>
+		isSimpleSingle(single, "nil", "empty", "any")
+	)
+		? nil_type
+		: t;
+}
+
+// Type of a value known to be nil or false
+function falsyPart(t: AST.TypeInfo): AST.TypeInfo {
+	return filterType(t, single =>
+		isSimpleSingle(single, "nil", "empty", "boolean", "any")
+	);
+}
+
+// What the type() function returns for values of type t, null if unknown
+function luaTypeOf(t: AST.SingleType): ?string {
+	if (t.type === "SimpleType") {
+		if (t.value === "any") return null;
+		return t.value === "empty" ? "nil" : t.value;
+	} else if (t.type === "LiteralType") return typeof t.value;
+	else if (t.type === "FunctionType") return "function";
+	else if (
+		t.type === "TableType" ||
+		t.type === "ArrayType" ||
+		t.type === "TupleType"
+	)
+		return "table";
+	return null;
+}
+
+const lua_type_singles: { [name: string]: AST.SingleType } = Object.freeze({
+	number: number_single,
+	string: string_single,
+	boolean: boolean_single,
+	nil: nil_single,
+	table: table_single,
+	function: function_single,
+});
+
+// Type of a value for which type() returns name (or doesn't, if matches is
+// false)
+function narrowTypeOf(
+	t: AST.TypeInfo,
+	name: string,
+	matches: boolean
+): AST.TypeInfo {
+	const singles: Array<AST.SingleType> = [];
+	t.possibleTypes.forEach(single => {
+		const type_name = luaTypeOf(single);
+		if (type_name != null) {
+			if ((type_name === name) === matches) singles.push(single);
+		} else if (matches && single === any_single && lua_type_singles[name])
+			singles.push(lua_type_singles[name]);
+		else singles.push(single);
+	});
+	if (singles.length === 0) return t;
+	return ast.typeInfo(new Set(singles));
+}
+
+function canBeFalsy(t: AST.TypeInfo): boolean {
+	return [...t.possibleTypes].some(single =>
+		isSimpleSingle(single, "nil", "empty", "boolean", "any")
+	);
+}
+
+function canBeTruthy(t: AST.TypeInfo): boolean {
+	return [...t.possibleTypes].some(
+		single => !isSimpleSingle(single, "nil", "empty")
+	);
+}
+
+// Whether the end of the block is never reached, because it returns or
+// breaks before.
+function neverFallsThrough(
+	block: AST.SimpleBlock | AST.FunctionBlock
+): boolean {
+	const last = block.statements[block.statements.length - 1];
+	if (last == null) return false;
+	if (last.type === "ReturnStatement" || last.type === "BreakStatement")
+		return true;
+	if (last.type === "DoStatement") return neverFallsThrough(last.body);
+	if (last.type === "IfStatement")
+		return (
+			last.clauses.some(clause => clause.type === "ElseClause") &&
+			last.clauses.every(clause => neverFallsThrough(clause.body))
+		);
+	return false;
+}
+
 function typeListToString(typeList: AST.TypeList): string {
-	if (typeList.list.length === 0 && isOnlyNil(typeList.rest)) return "void";
+	return typeListValuesToString(typeList) || "void";
+}
+
+// The nil values after the end of the list are not shown
+function typeListValuesToString(typeList: AST.TypeList): string {
 	const all: Array<string> = typeList.list.map(t => typeToString(t));
-	if (!isOnlyNil(typeList.rest)) all.push("..." + typeToString(typeList.rest));
+	if (!hasNoValue(typeList.rest))
+		all.push("..." + typeToString(withoutNil(typeList.rest)));
 	return all.join(", ");
 }
 
@@ -185,16 +795,119 @@ function typeListFromType(t: AST.TypeInfo | AST.SingleType): AST.TypeList {
 	return ast.typeList([t], empty_type);
 }
 
+// Type list of values that have one of the type lists in lists
+function unionTypeLists(lists: Array<AST.TypeList>): AST.TypeList {
+	const n: number = Math.max(...lists.map(t => t.list.length));
+	const list: Array<AST.TypeInfo> = [];
+	for (let i = 0; i < n; i++)
+		list.push(joinTypes(...lists.map(t => getType(t, i))));
+	const rest: AST.TypeInfo = joinTypes(...lists.map(t => t.rest));
+	return ast.typeList(list, rest);
+}
+
+// Return types of a function whose return statements return the types in
+// returned. Reaching the end of the body returns nothing, which is nil where
+// other returns have values.
+function inferReturnTypes(
+	returned: Array<AST.TypeList>,
+	falls_through: boolean
+): AST.TypeList {
+	const lists = falls_through
+		? [...returned, ast.typeList([], empty_type)]
+		: returned;
+	if (lists.length === 0) return ast.typeList([], empty_type);
+	const union = unionTypeLists(lists);
+	return ast.typeList(
+		union.list.map(t => {
+			const singles = [...t.possibleTypes];
+			if (!singles.some(s => isSimpleSingle(s, "empty"))) return widen(t);
+			return widen(
+				ast.typeInfo(
+					new Set([
+						...singles.filter(s => !isSimpleSingle(s, "empty")),
+						nil_single,
+					])
+				)
+			);
+		}),
+		widen(union.rest)
+	);
+}
+
+// Type of the value returned by a module
+function returnedType(chunk: AST.Chunk): AST.TypeInfo {
+	const return_types = chunk.body.return_types;
+	return return_types != null ? firstType(return_types) : any_type;
+}
+
+// Types of the values of a list of expressions. All but the last one are
+// truncated to their first value, which is nil if they have none, and the last
+// one adds all its values.
 function joinTypeLists(list: Array<AST.TypeList>): AST.TypeList {
 	if (list.length === 0) return ast.typeList([], empty_type);
 	const last = list.pop();
-	const first_types = list.map(tl => getType(tl, 0));
+	const first_types = list.map(tl => {
+		const type = getType(tl, 0);
+		return isEmpty(type) ? nil_type : type;
+	});
 	return ast.typeList([...first_types, ...last.list], last.rest);
 }
 
+// Types of the standard library functions known to the checker, for the
+// globals with these names that are not declared otherwise. Any table can be
+// iterated, the type parameters of a plain table are any.
+const builtins: { [identifier: string]: AST.TypeInfo } = {};
+parse(
+	`declare ipairs: <T>({T} | table) => (({T}, number) => (?number, T), {T}, number)
+	declare pairs: <K, V>({[K]: V} | table) => (({[K]: V}, ?K) => (?K, V), {[K]: V}, nil)
+	declare next: <K, V>({[K]: V} | table, ?K) => (?K, V)
+	declare setmetatable: <T>(T, ?table) => (T)`,
+	undefined,
+	{ features: { typeCheck: true } }
+).body.statements.forEach(node => {
+	if (node.type === "DeclareStatement")
+		builtins[node.identifier.name] = node.typeInfo;
+});
+
+const binary_metamethods: { [operator: string]: string } = Object.freeze({
+	"+": "__add",
+	"-": "__sub",
+	"*": "__mul",
+	"/": "__div",
+	"%": "__mod",
+	"^": "__pow",
+	"//": "__idiv",
+	"&": "__band",
+	"|": "__bor",
+	"~": "__bxor",
+	"<<": "__shl",
+	">>": "__shr",
+});
+
+// The fields of a metatable that Lua uses
+const metamethod_names: Set<string> = new Set([
+	...Object.keys(binary_metamethods).map(op => binary_metamethods[op]),
+	"__index",
+	"__newindex",
+	"__call",
+	"__tostring",
+	"__len",
+	"__unm",
+	"__bnot",
+	"__concat",
+	"__eq",
+	"__lt",
+	"__le",
+	"__gc",
+	"__mode",
+	"__name",
+	"__close",
+	"__metatable",
+	"__pairs",
+	"__ipairs",
+]);
+
 const literal_map = Object.freeze({
-	StringLiteral: string_type,
-	NumericLiteral: number_type,
 	BooleanLiteral: boolean_type,
 	NilLiteral: nil_type,
 });
@@ -214,56 +927,134 @@ export function checkString(
 	return check(parse(code, undefined, options));
 }
 
+// If diagnostics is present, errors are added to it as they are found and
+// checking goes on, otherwise the first error is thrown.
 export function check(
 	ast_: AST.Chunk,
-	globals_?: { [identifier: string]: AST.TypeInfo }
+	globals_?: { [identifier: string]: AST.TypeInfo },
+	diagnostics?: Array<CodeError>
 ): AST.Chunk {
 	const meta = ast_.meta;
 	// This array has the types of local variables in scopes
 	const scopes: Array<{ [identifier: string]: ?AST.TypeInfo }> = [];
 	// This array has the info for the current function scope
 	const function_scopes: Array<{
-		return_types: AST.TypeList,
+		// null if they are inferred from the types of the return statements,
+		// which are then added to returned
+		return_types: ?AST.TypeList,
+		returned: Array<AST.TypeList>,
 		vararg_types: ?AST.TypeList,
 	}> = [];
 	const globals: { [identifier: string]: AST.TypeInfo } = globals_ || {};
+	// This array has, for each scope, the variables (local or global) whose
+	// types are known to be narrower than declared there, because of a
+	// condition
+	const narrowings: Array<Array<Narrowing>> = [];
+	// This map has, for each table used as a metatable, the types of the
+	// tables it was set on
+	const instance_types: Map<AST.TableType, AST.TypeInfo> = new Map();
+	// This map has, for each table with methods defined before it had
+	// instances, the functions reading them once self has a type
+	const early_methods: Map<
+		AST.TableType,
+		Array<(self_type: AST.TypeInfo) => void>
+	> = new Map();
+	// Tables of local variables initialized with a table constructor, which
+	// get new fields when they are assigned in the function that created them.
+	// They are sealed once they escape.
+	const open_tables: Map<
+		AST.TableType,
+		$ElementType<typeof function_scopes, number>
+	> = new Map();
+
+	// Whether t gets new fields when they are assigned here
+	function isOpen(t: AST.TableType): boolean {
+		return open_tables.get(t) === function_scopes[function_scopes.length - 1];
+	}
+
+	// Opens the tables in type created by the table constructor node, and the
+	// ones created by the constructors in its fields
+	function openTables(node: ?AST.Expression, type: AST.TypeInfo): void {
+		if (node == null || node.type !== "TableConstructorExpression") return;
+		const fields = node.fields;
+		type.possibleTypes.forEach(t => {
+			if (t.type !== "TableType") return;
+			open_tables.set(t, function_scopes[function_scopes.length - 1]);
+			fields.forEach(field => {
+				const field_type =
+					field.type === "TableKeyString"
+						? t.typeMap.get(field.key.name)
+						: null;
+				if (field_type != null) openTables(field.value, field_type);
+			});
+		});
+	}
+
+	function seal(type: AST.TypeInfo): void {
+		type.possibleTypes.forEach(t => {
+			if (t.type === "TableType" && open_tables.delete(t))
+				t.typeMap.forEach(seal);
+		});
+	}
+
+	function sealList(types: AST.TypeList): void {
+		types.list.forEach(seal);
+		seal(types.rest);
+	}
 
 	function createScope(): void {
 		scopes.push({});
+		narrowings.push([]);
 	}
 
-	function createFunctionScope(return_types: AST.TypeList): void {
+	function createFunctionScope(return_types: ?AST.TypeList): void {
 		function_scopes.push({
 			return_types,
+			returned: [],
 			vararg_types: null,
 		});
 	}
 
 	function destroyScope(): void {
 		scopes.pop();
+		narrowings.pop();
 	}
 
 	function destroyFunctionScope(): void {
 		function_scopes.pop();
 	}
 
+	function report(err: CodeError): void {
+		if (diagnostics == null) throw err;
+		diagnostics.push(err);
+	}
+
+	// Warnings are only reported when collecting diagnostics
+	function warn(err: CodeError): void {
+		if (diagnostics != null) diagnostics.push(err);
+	}
+
 	function assertAssign(
 		a: AST.TypeInfo,
 		b: AST.TypeInfo,
 		node: { ...AST.LocationInfo }
 	): void {
 		if (!isSupertype(a, b))
-			throw astError(
-				errors.cannotAssignTypes,
-				meta,
-				node,
-				typeToString(b),
-				typeToString(a)
+			report(
+				astError(
+					errors.cannotAssignTypes,
+					meta,
+					node,
+					typeToString(b),
+					typeToString(a)
+				)
 			);
 	}
 
 	function assignTypeToName(var_: string, type: AST.TypeInfo): void {
-		scopes[scopes.length - 1][var_] = type;
+		const scope = scopes[scopes.length - 1];
+		forgetNarrowings(scope, var_);
+		scope[var_] = type;
 	}
 
 	function assignType(var_: AST.Identifier, type: AST.TypeInfo): void {
@@ -280,20 +1071,119 @@ export function check(
 		return types;
 	}
 
-	function getReturnTypes(): AST.TypeList {
-		return function_scopes[function_scopes.length - 1].return_types;
+	// The return types of the current function, inferred if not annotated
+	function getReturnTypes(block: AST.FunctionBlock): AST.TypeList {
+		const scope = function_scopes[function_scopes.length - 1];
+		if (scope.return_types != null) return scope.return_types;
+		return inferReturnTypes(scope.returned, !neverFallsThrough(block));
 	}
 
-	function getTypeFromScope(name: string): AST.TypeInfo {
+	function getDeclaringScope(name: string): Scope {
 		for (let i = scopes.length - 1; i >= 0; i--)
-			if (scopes[i][name]) return scopes[i][name];
-		if (globals[name]) return globals[name];
-		return any_type;
+			if (scopes[i][name]) return scopes[i];
+		return globals;
+	}
+
+	function getDeclaredType(name: string): AST.TypeInfo {
+		const scope = getDeclaringScope(name);
+		if (scope === globals) return globals[name] || builtins[name] || any_type;
+		return scope[name] || any_type;
+	}
+
+	function getTypeFromScope(name: string): AST.TypeInfo {
+		const scope = getDeclaringScope(name);
+		for (let i = narrowings.length - 1; i >= 0; i--)
+			for (let j = narrowings[i].length - 1; j >= 0; j--) {
+				const n = narrowings[i][j];
+				if (n.scope === scope && n.name === name) return n.type;
+			}
+		return getDeclaredType(name);
+	}
+
+	function addNarrowing(narrowing: Narrowing): void {
+		narrowings[narrowings.length - 1].push(narrowing);
+	}
+
+	// After an assignment, the variable has its declared type again
+	function forgetNarrowings(scope: Scope, name: string): void {
+		for (let i = 0; i < narrowings.length; i++)
+			narrowings[i] = narrowings[i].filter(
+				n => n.scope !== scope || n.name !== name
+			);
+	}
+
+	function narrowName(
+		name: string,
+		f: AST.TypeInfo => AST.TypeInfo
+	): Array<Narrowing> {
+		const narrowing = {
+			scope: getDeclaringScope(name),
+			name,
+			type: f(getTypeFromScope(name)),
+		};
+		addNarrowing(narrowing);
+		return [narrowing];
+	}
+
+	// Recognizes type(x) == "name" and "name" == type(x)
+	function readTypeOfComparison(
+		node: AST.BinaryExpression
+	): ?{| name: string, type_name: string |} {
+		const [call, str] =
+			node.left.type === "StringLiteral"
+				? [node.right, node.left]
+				: [node.left, node.right];
+		if (
+			str.type !== "StringLiteral" ||
+			call.type !== "CallExpression" ||
+			call.base.type !== "Identifier" ||
+			call.base.name !== "type" ||
+			isLocal("type") ||
+			call.args.length !== 1 ||
+			call.args[0].type !== "Identifier"
+		)
+			return null;
+		return { name: call.args[0].name, type_name: str.value };
+	}
+
+	// Narrows the types of the variables tested by the condition, for the
+	// code that only runs if the condition is truthy (or falsy). Returns the
+	// narrowings added to the current scope.
+	function narrow(node: AST.Expression, truthy: boolean): Array<Narrowing> {
+		if (node.type === "ParenthesisExpression")
+			return narrow(node.expression, truthy);
+		else if (node.type === "UnaryExpression" && node.operator === "not")
+			return narrow(node.argument, !truthy);
+		else if (node.type === "Identifier")
+			return narrowName(node.name, truthy ? removeNil : falsyPart);
+		else if (
+			node.type === "BinaryExpression" &&
+			(node.operator === "==" || node.operator === "~=")
+		) {
+			const equal = (node.operator === "==") === truthy;
+			const type_of = readTypeOfComparison(node);
+			if (type_of != null)
+				return narrowName(type_of.name, t =>
+					narrowTypeOf(t, type_of.type_name, equal)
+				);
+			let id = null;
+			if (node.right.type === "NilLiteral") id = node.left;
+			else if (node.left.type === "NilLiteral") id = node.right;
+			if (id == null || id.type !== "Identifier") return [];
+			return narrowName(id.name, equal ? nilPart : removeNil);
+		} else if (node.type === "LogicalExpression") {
+			// both sides are truthy in a truthy and, and falsy in a falsy or
+			if ((node.operator === "and") === truthy)
+				return [...narrow(node.left, truthy), ...narrow(node.right, truthy)];
+		}
+		return [];
 	}
 
 	function readLiteral(node: AST.Literal): AST.TypeInfo {
 		if (!node.type.endsWith("Literal") || node.type === "VarargLiteral")
 			throw new Error("Invalid type");
+		if (node.type === "StringLiteral" || node.type === "NumericLiteral")
+			return singleToType(ast.literalType(node.value, true));
 		return literal_map[node.type];
 	}
 
@@ -301,7 +1191,14 @@ export function check(
 		node: AST.BinaryExpression | AST.LogicalExpression
 	): AST.TypeInfo {
 		const L: AST.TypeInfo = firstType(readExpression(node.left));
-		const R: AST.TypeInfo = firstType(readExpression(node.right));
+		let R: AST.TypeInfo;
+		if (node.type === "LogicalExpression") {
+			// the right side only runs if the left one is truthy (and) or falsy (or)
+			createScope();
+			narrow(node.left, node.operator === "and");
+			R = firstType(readExpression(node.right));
+			destroyScope();
+		} else R = firstType(readExpression(node.right));
 		switch (node.operator) {
 			case "*":
 			case "+":
@@ -315,34 +1212,59 @@ export function check(
 			case "|":
 			case "~":
 			case "//":
-				if (!isNumber(L) || !isNumber(R))
-					throw astError(
-						errors.invalidNumberBinaryOp,
-						meta,
-						node,
-						node.operator
+				if (!isNumber(L) || !isNumber(R)) {
+					const result = readMetamethodCall(
+						binary_metamethods[node.operator],
+						[L, R],
+						node
+					);
+					if (result != null) return result;
+					report(
+						astError(errors.invalidNumberBinaryOp, meta, node, node.operator)
 					);
+					return any_type;
+				}
 				return number_type;
 			case ">":
 			case "<":
 			case ">=":
 			case "<=":
-				if (!isSameSimple(L, R) || (!isNumber(L) && !isString(L)))
-					throw astError(errors.invalidComparator, meta, node, node.operator);
+				if (!isSameSimple(L, R) || (!isNumber(L) && !isString(L))) {
+					// a > b is b < a, and a >= b is b <= a
+					const args =
+						node.operator === ">" || node.operator === ">=" ? [R, L] : [L, R];
+					const name =
+						node.operator === "<" || node.operator === ">" ? "__lt" : "__le";
+					if (readMetamethodCall(name, args, node) != null) return boolean_type;
+					report(astError(errors.invalidComparator, meta, node, node.operator));
+					return any_type;
+				}
 				return boolean_type;
 			case "==":
 			case "~=":
-				if (!isSameSimple(L, R))
-					throw astError(errors.invalidEqual, meta, node);
+				// anything can be compared with nil
+				if (!isSameSimple(L, R) && !isOnlyNil(L) && !isOnlyNil(R)) {
+					report(astError(errors.invalidEqual, meta, node));
+					return any_type;
+				}
 				return boolean_type;
 			case "and":
+				// a and b is a if a is falsy, else b
+				if (!canBeFalsy(L)) return R;
+				if (!canBeTruthy(L)) return L;
+				return joinTypes(falsyPart(L), R);
 			case "or":
-				// TODO: Actually this should remove some types from L since they
-				// should be truthy or falsy
-				return ast.typeInfo(new Set([...L.possibleTypes, ...R.possibleTypes]));
+				// a or b is a if a is truthy, else b
+				if (!canBeFalsy(L)) return L;
+				if (!canBeTruthy(L)) return R;
+				return joinTypes(removeNil(L), R);
 			case "..":
-				if (!isString(L) || !isString(R))
-					throw astError(errors.invalidConcat, meta, node);
+				if (!isString(L) || !isString(R)) {
+					const result = readMetamethodCall("__concat", [L, R], node);
+					if (result != null) return result;
+					report(astError(errors.invalidConcat, meta, node));
+					return any_type;
+				}
 				return string_type;
 			default:
 				throw new Error("Unknown binary operation '" + node.operator + "'");
@@ -354,22 +1276,36 @@ export function check(
 		switch (node.operator) {
 			case "-":
 			case "~":
-				if (!isNumber(type))
-					throw astError(
-						errors.invalidNumberUnaryOp,
-						meta,
-						node,
-						node.operator
+				if (!isNumber(type)) {
+					const result = readMetamethodCall(
+						node.operator === "-" ? "__unm" : "__bnot",
+						[type],
+						node
+					);
+					if (result != null) return result;
+					report(
+						astError(errors.invalidNumberUnaryOp, meta, node, node.operator)
 					);
+					return any_type;
+				}
 				return number_type;
-			case "#":
+			case "#": {
+				const result = readMetamethodCall("__len", [type], node);
+				if (result != null) return result;
 				if (
 					[...type.possibleTypes].some(
-						t => t.type !== "TableType" && !isTable(singleToType(t))
+						t =>
+							t.type !== "TableType" &&
+							t.type !== "ArrayType" &&
+							t.type !== "TupleType" &&
+							!isTable(singleToType(t))
 					)
-				)
-					throw astError(errors.invalidLen, meta, node);
+				) {
+					report(astError(errors.invalidLen, meta, node));
+					return any_type;
+				}
 				return number_type;
+			}
 			case "not":
 				return boolean_type;
 			default:
@@ -381,9 +1317,18 @@ export function check(
 		node: AST.Expression | AST.ColonMemberExpression
 	): AST.TypeInfo {
 		if (node.type === "MemberExpression" && node.indexer === ":") {
-			const type: AST.TypeInfo = firstType(readExpression(node.base));
-			if (!isTable(type)) throw astError(errors.invalidIndex, meta, node);
-			return function_type;
+			const type: AST.TypeInfo = readFieldType(
+				firstType(readExpression(node.base)),
+				node.identifier.name,
+				node
+			);
+			return ast.typeInfo(
+				new Set(
+					[...type.possibleTypes].map(t =>
+						t.type === "FunctionType" ? withoutSelf(t) : t
+					)
+				)
+			);
 		} else return firstType(readExpression(node));
 	}
 
@@ -397,9 +1342,13 @@ export function check(
 			return false;
 		if (node.args.length !== 1 || node.args[0].type !== "StringLiteral")
 			return false;
+		return !isLocal("require");
+	}
+
+	function isLocal(name: string): boolean {
 		for (let i = scopes.length - 1; i >= 0; i--)
-			if (scopes[i].require) return false;
-		return true;
+			if (scopes[i][name]) return true;
+		return false;
 	}
 
 	function readCallExpression(
@@ -421,8 +1370,8 @@ export function check(
 				const code = fs.readFileSync(`${filename}.d.lua`).toString();
 				const ch = parse(code, { code, filename: `${filename}.d.lua` });
 				// Adding declare globals
-				check(ch, globals);
-				return typeListFromType(firstType(ch.body.return_types));
+				check(ch, globals, diagnostics);
+				return typeListFromType(returnedType(ch));
 			}
 			try {
 				fs.accessSync(`${filename}.lua`);
@@ -440,168 +1389,592 @@ export function check(
 					features: { typeCheck: true },
 				}
 			);
-			return typeListFromType(firstType(ch.body.return_types));
+			return typeListFromType(returnedType(ch));
 		}
 		const type: AST.TypeInfo = readCallExpressionBase(node.base);
-		const arg_types: AST.TypeList = joinTypeLists(
-			(node.args: $ReadOnlyArray<AST.Expression>).map(arg =>
-				readExpression(arg)
+		const arg_types: AST.TypeList = readArguments(node.args, type);
+		const return_types = readCallType(type, arg_types, node);
+		if (type === builtins.setmetatable)
+			return typeListFromType(
+				readSetmetatable(firstType(arg_types), getType(arg_types, 1))
+			);
+		sealList(arg_types);
+		return return_types;
+	}
+
+	// Function expressions in the arguments get the parameter types of the
+	// function called, with the type parameters inferred from the other
+	// arguments
+	function readArguments(
+		args: $ReadOnlyArray<AST.Expression>,
+		type: AST.TypeInfo
+	): AST.TypeList {
+		const singles = [...type.possibleTypes];
+		const f = singles.length === 1 ? singles[0] : null;
+		if (
+			f == null ||
+			f.type !== "FunctionType" ||
+			!args.some(arg => arg.type === "FunctionExpression")
+		)
+			return joinTypeLists(args.map(arg => readExpression(arg)));
+		const types: Array<?AST.TypeList> = args.map(arg =>
+			arg.type === "FunctionExpression" ? null : readExpression(arg)
+		);
+		const parameter_types = instantiate(
+			f,
+			joinTypeLists(types.map(t => t || typeListFromType(any_type)))
+		).parameter_types;
+		return joinTypeLists(
+			args.map(
+				(arg, i) => types[i] || readExpression(arg, getType(parameter_types, i))
 			)
 		);
+	}
+
+	// Types returned by calling a value of type type. Tables are called through
+	// their __call metamethod, which gets the table as first argument.
+	function readCallType(
+		type: AST.TypeInfo,
+		arg_types: AST.TypeList,
+		node: { ...AST.LocationInfo }
+	): AST.TypeList {
+		const functions: Array<AST.SingleType> = [];
+		type.possibleTypes.forEach(t => {
+			const call = t.type === "TableType" ? getMetamethod(t, "__call") : null;
+			if (call == null) functions.push(t);
+			else
+				call.possibleTypes.forEach(c =>
+					functions.push(c.type === "FunctionType" ? withoutSelf(c) : c)
+				);
+		});
 		if (
-			[...type.possibleTypes].some(
+			functions.some(
 				t => t.type !== "FunctionType" && !isFunction(singleToType(t))
 			)
-		)
-			throw new Error("Cannot call non-function type.");
-		const return_types: Array<AST.TypeList> = [...type.possibleTypes].map(t => {
-			if (t.type !== "FunctionType") return ast.typeList([], any_type);
-			invariant(t.type === "FunctionType");
+		) {
+			report(astError(errors.cannotCall, meta, node, typeToString(type)));
+			return ast.typeList([], any_type);
+		}
+		const return_types: Array<AST.TypeList> = functions.map(t_ => {
+			if (t_.type !== "FunctionType") return ast.typeList([], any_type);
+			const t = instantiate(t_, arg_types);
 			if (!isSupertypeList(t.parameter_types, arg_types))
-				throw new Error(
-					`Can't call "${singleTypeToString(t)}" with "${typeListToString(
-						arg_types
-					)}"`
+				report(
+					astError(
+						errors.invalidCallArgs,
+						meta,
+						node,
+						singleTypeToString(t_),
+						typeListToString(arg_types)
+					)
 				);
 			return t.return_types;
 		});
-		const n: number = Math.max(...return_types.map(t => t.list.length));
-		const list: Array<AST.TypeInfo> = [];
-		for (let i = 0; i < n; i++)
-			list.push(joinTypes(...return_types.map(t => getType(t, i))));
-		const rest: AST.TypeInfo = joinTypes(...return_types.map(t => t.rest));
-		return ast.typeList(list, rest);
+		return unionTypeLists(return_types);
+	}
+
+	// Type of the result of the metamethod name called with args, from the
+	// first argument that has it, as Lua does. Null if none of them has it.
+	function readMetamethodCall(
+		name: string,
+		args: Array<AST.TypeInfo>,
+		node: { ...AST.LocationInfo }
+	): ?AST.TypeInfo {
+		for (const arg of args) {
+			const method = metamethodOf(arg, name);
+			if (method != null)
+				return firstType(
+					readCallType(method, ast.typeList(args, empty_type), node)
+				);
+		}
+		return null;
+	}
+
+	// setmetatable(t, mt) returns t, which then looks up missing fields in the
+	// __index of mt
+	function readSetmetatable(t: AST.TypeInfo, mt: AST.TypeInfo): AST.TypeInfo {
+		const singles = [...mt.possibleTypes];
+		const metatable = singles.length === 1 ? singles[0] : null;
+		if (metatable == null || metatable.type !== "TableType") return t;
+		const instance = ast.typeInfo(
+			new Set(
+				[...t.possibleTypes].map(single =>
+					single.type === "TableType"
+						? ast.tableType(new Map(single.typeMap), single.indexer, metatable)
+						: single
+				)
+			)
+		);
+		const instances = instance_types.get(metatable);
+		const self_type =
+			instances == null
+				? widen(instance)
+				: joinTypes(instances, widen(instance));
+		instance_types.set(metatable, self_type);
+		readEarlyMethods(metatable, self_type);
+		return instance;
 	}
 
+	// In the methods of a table used as a metatable, like a class, self is one
+	// of the tables it was set on. Null if the table has an __index, so is
+	// meant to be a metatable, but no instances yet.
+	function readSelfType(table: AST.TypeInfo): ?AST.TypeInfo {
+		if (isAny(table)) return table_type;
+		const singles = [...table.possibleTypes];
+		const metatable = singles.length === 1 ? singles[0] : null;
+		if (metatable == null || metatable.type !== "TableType") return table;
+		const instances = instance_types.get(metatable);
+		if (instances != null || !metatable.typeMap.has("__index"))
+			return instances || table;
+		return null;
+	}
+
+	// Methods defined before their table has instances are read when it is
+	// first used as a metatable, or else at the end of the chunk with self as
+	// the table itself
+	function readEarlyMethods(
+		metatable: AST.TableType,
+		self_type: AST.TypeInfo
+	): void {
+		const reads = early_methods.get(metatable);
+		if (reads == null) return;
+		early_methods.delete(metatable);
+		reads.forEach(read => read(self_type));
+	}
+
+	// Returns read, to be called later with the scopes of this point of the code
+	function inCurrentScopes<T>(read: T => void): T => void {
+		const saved_scopes = scopes.slice();
+		const saved_narrowings = narrowings.slice();
+		const saved_function_scopes = function_scopes.slice();
+		return arg => {
+			const current_scopes = scopes.splice(0, scopes.length, ...saved_scopes);
+			const current_narrowings = narrowings.splice(
+				0,
+				narrowings.length,
+				...saved_narrowings
+			);
+			const current_function_scopes = function_scopes.splice(
+				0,
+				function_scopes.length,
+				...saved_function_scopes
+			);
+			read(arg);
+			scopes.splice(0, scopes.length, ...current_scopes);
+			narrowings.splice(0, narrowings.length, ...current_narrowings);
+			function_scopes.splice(
+				0,
+				function_scopes.length,
+				...current_function_scopes
+			);
+		};
+	}
+
+	// A constructor with only positional fields is an array. Otherwise fields
+	// with other keys than names are joined in the table indexer.
 	function readTableConstructorExpression(
-		node: AST.TableConstructorExpression
-	): AST.TableType {
+		node: AST.TableConstructorExpression,
+		expected: ?AST.TypeInfo
+	): AST.TableType | AST.ArrayType | AST.TupleType {
+		// types expected for the fields
+		const expected_tables = expected == null ? [] : [...expected.possibleTypes];
+		const expectedField = (name: string): ?AST.TypeInfo => {
+			const types = expected_tables.map(t =>
+				t.type === "TableType" ? fieldType(t, name) : nil_type
+			);
+			return types.length > 0 ? joinTypes(...types) : null;
+		};
+		const expectedValue = (i: number): ?AST.TypeInfo => {
+			const types = expected_tables.map(t => {
+				if (t.type === "ArrayType") return t.elementType;
+				if (t.type === "TupleType") return getType(t.elementTypes, i);
+				return nil_type;
+			});
+			return types.length > 0 ? joinTypes(...types) : null;
+		};
+		// an array is a tuple where one is expected
+		const is_tuple = expected_tables.some(t => t.type === "TupleType");
+		const value_lists: Array<AST.TypeList> = [];
 		const map: Map<string, AST.TypeInfo> = new Map();
-		node.fields.forEach(field => {
-			if (field.type === "TableValue") readExpression(field.value);
-			else if (field.type === "TableKey") {
-				readExpression(field.key);
-				readExpression(field.value);
-			} else if (field.type === "TableKeyString") {
+		const values: Array<AST.TypeInfo> = [];
+		const keys: Array<AST.TypeInfo> = [];
+		const key_values: Array<AST.TypeInfo> = [];
+		let only_values = true;
+		node.fields.forEach((field, i) => {
+			if (field.type === "TableValue") {
+				const types = readExpression(field.value, expectedValue(values.length));
+				value_lists.push(types);
+				if (i < node.fields.length - 1) values.push(firstType(types));
+				else {
+					// the last value adds all its values, but a nil ends the array
+					const rest = [...types.rest.possibleTypes].filter(
+						t =>
+							t.type !== "SimpleType" ||
+							(t.value !== "nil" && t.value !== "empty")
+					);
+					values.push(...types.list);
+					if (rest.length > 0) values.push(ast.typeInfo(new Set(rest)));
+				}
+			} else if (field.type === "TableKey") {
+				only_values = false;
+				const key = firstType(readExpression(field.key));
 				const type = firstType(readExpression(field.value));
+				if (field.key.type === "StringLiteral") map.set(field.key.value, type);
+				else {
+					keys.push(key);
+					key_values.push(type);
+				}
+			} else if (field.type === "TableKeyString") {
+				only_values = false;
+				const type = firstType(
+					readExpression(field.value, expectedField(field.key.name))
+				);
 				map.set(field.key.name, type);
 			} else throw new Error("Unknown TableConstructor field");
 		});
-		return ast.tableType(map);
+		if (only_values && is_tuple && value_lists.length > 0)
+			return ast.tupleType(joinTypeLists(value_lists));
+		if (only_values && values.length > 0)
+			return ast.arrayType(joinTypes(...values));
+		if (values.length > 0) {
+			keys.push(number_type);
+			key_values.push(...values);
+		}
+		if (keys.length === 0) return ast.tableType(map);
+		// keys are not literal types, so that any key of the same type fits
+		return ast.tableType(
+			map,
+			ast.tableIndexer(widen(joinTypes(...keys)), joinTypes(...key_values))
+		);
 	}
 
 	function readFunctionNamePrefix(
 		node: AST.NonLocalFunctionNamePrefix
 	): AST.TypeInfo {
 		if (node.type === "Identifier") return getTypeFromScope(node.name);
-		else {
-			const type: AST.TypeInfo = readFunctionNamePrefix(node.base);
-			if (!isTable(type)) throw new Error("Can't index non-table.");
-			return any_type;
-		}
+		return readFieldType(
+			readFunctionNamePrefix(node.base),
+			node.identifier.name,
+			node
+		);
 	}
 
 	function readFunctionBase(
 		node: { ...AST.FunctionBase },
-		self_type?: AST.TypeInfo
+		self_type?: AST.TypeInfo,
+		parameter_types?: AST.TypeList = node.parameter_types
 	): AST.FunctionType {
-		const my_type = ast.functionType(
-			node.parameter_types,
-			node.body.return_types
-		);
 		createScope();
 		createFunctionScope(node.body.return_types);
 		if (self_type != null) assignTypeToName("self", self_type);
 		for (let i = 0; i < node.parameters.length; i++) {
-			const type = getType(node.parameter_types, i);
+			const type = getType(parameter_types, i);
 			assignType(node.parameters[i], type);
 		}
 		if (node.has_varargs) {
 			const types: Array<AST.TypeInfo> = [];
-			if (node.parameter_types != null)
-				for (
-					let i = node.parameters.length;
-					i < node.parameter_types.list.length;
-					i++
-				)
-					types.push(node.parameter_types.list[i]);
-			assignVarargsType(ast.typeList(types, node.parameter_types.rest));
+			for (let i = node.parameters.length; i < parameter_types.list.length; i++)
+				types.push(parameter_types.list[i]);
+			assignVarargsType(ast.typeList(types, parameter_types.rest));
 		}
 		readBlock(node.body);
+		const return_types = getReturnTypes(node.body);
 		destroyScope();
 		destroyFunctionScope();
-		return my_type;
+		return ast.functionType(
+			parameter_types,
+			return_types,
+			node.type_parameters
+		);
 	}
 
+	// Recursive calls in the body return any if the return types are inferred
 	function readLocalFunctionStatement(node: AST.LocalFunctionStatement): void {
 		const my_type = ast.functionType(
 			node.parameter_types,
-			node.body.return_types
+			node.body.return_types || ast.typeList([], any_type),
+			node.type_parameters
 		);
-		assignType(node.identifier, ast.typeInfo(new Set([my_type])));
-		readFunctionBase(node);
+		assignType(node.identifier, singleToType(my_type));
+		const type = readFunctionBase(node);
+		if (node.body.return_types == null)
+			assignType(node.identifier, singleToType(type));
 	}
 
+	// Methods get self as their first parameter. A method defined before its
+	// table has instances is read later, until then its field has self and
+	// the inferred return types as any.
 	function readNonLocalFunctionStatement(
 		node: AST.NonLocalFunctionStatement
 	): void {
-		let self_type: AST.TypeInfo | void = undefined;
 		const id = node.identifier;
-		let type_info: AST.TypeInfo;
-		if (id.type === "MemberExpression" && id.indexer === ":") {
-			self_type = readFunctionNamePrefix(id.base);
-			if (isAny(self_type)) self_type = table_type;
-			if (!isTable(self_type)) throw new Error("Can't index non-table.");
-			type_info = any_type; // TODO improve this
-		} else type_info = readFunctionNamePrefix(id);
-		assertAssign(type_info, function_type, id);
-		readFunctionBase(node, self_type);
+		if (id.type === "Identifier") {
+			assertAssign(readFunctionNamePrefix(id), function_type, id);
+			readFunctionBase(node);
+			return;
+		}
+		const table: AST.TypeInfo = readFunctionNamePrefix(id.base);
+		const name = id.identifier.name;
+		if (id.indexer !== ":") return readFieldFunction(node, table, name);
+		const self_type = readSelfType(table);
+		if (self_type != null)
+			return readFieldFunction(node, table, name, self_type);
+		const metatable = [...table.possibleTypes][0];
+		invariant(metatable.type === "TableType");
+		const added = isNewField(table, name)
+			? functionFieldType(node, parameterTypes(node, any_type))
+			: null;
+		if (added != null) assignField(table, name, added, id);
+		const reads = early_methods.get(metatable) || [];
+		reads.push(
+			inCurrentScopes(self_type =>
+				readFieldFunction(node, table, name, self_type, added)
+			)
+		);
+		early_methods.set(metatable, reads);
+	}
+
+	function parameterTypes(
+		node: AST.NonLocalFunctionStatement,
+		self_type: AST.TypeInfo | void
+	): AST.TypeList {
+		const types = node.parameter_types;
+		if (self_type === undefined) return types;
+		return ast.typeList([self_type, ...types.list], types.rest);
 	}
 
+	// Type of a function field before its body is read
+	function functionFieldType(
+		node: AST.NonLocalFunctionStatement,
+		parameter_types: AST.TypeList
+	): AST.TypeInfo {
+		return singleToType(
+			ast.functionType(
+				parameter_types,
+				node.body.return_types || ast.typeList([], any_type),
+				node.type_parameters
+			)
+		);
+	}
+
+	// A function declared as a field of a table is added to the table type,
+	// or checked against the field type, with its inferred return types, if
+	// the table has it. The field added for it before, if any, is replaced.
+	function readFieldFunction(
+		node: AST.NonLocalFunctionStatement,
+		table: AST.TypeInfo,
+		name: string,
+		self_type: AST.TypeInfo | void,
+		added: ?AST.TypeInfo = null
+	): void {
+		const id = node.identifier;
+		const parameter_types = parameterTypes(node, self_type);
+		const my_type = functionFieldType(node, parameter_types);
+		// a new field is added before the body, for recursive calls
+		const is_new = added != null || isNewField(table, name);
+		if (added != null) replaceField(table, name, added, my_type);
+		else if (is_new) assignField(table, name, my_type, id);
+		const return_types = readFunctionBase(node, self_type).return_types;
+		const type =
+			node.body.return_types != null
+				? my_type
+				: singleToType(
+						ast.functionType(
+							parameter_types,
+							return_types,
+							node.type_parameters
+						)
+				  );
+		if (!is_new) {
+			assignField(table, name, type, id);
+			return;
+		}
+		// the fields added get the inferred return types
+		replaceField(table, name, my_type, type);
+	}
+
+	function replaceField(
+		table: AST.TypeInfo,
+		name: string,
+		old_type: AST.TypeInfo,
+		type: AST.TypeInfo
+	): void {
+		table.possibleTypes.forEach(t => {
+			if (t.type === "TableType" && t.typeMap.get(name) === old_type)
+				t.typeMap.set(name, type);
+		});
+	}
+
+	function assignField(
+		table: AST.TypeInfo,
+		name: string,
+		type: AST.TypeInfo,
+		node: { ...AST.LocationInfo }
+	): void {
+		table.possibleTypes.forEach(t => {
+			if (t.type === "TableType") {
+				const indexer = t.indexer;
+				if (
+					t.typeMap.has(name) ||
+					(indexer != null && isSupertype(indexer.key, string_type)) ||
+					!isOpen(t)
+				)
+					assertAssign(fieldType(t, name), type, node);
+				else t.typeMap.set(name, type);
+			} else if (
+				t.type === "ArrayType" ||
+				t.type === "TupleType" ||
+				!isTable(singleToType(t))
+			)
+				report(astError(errors.invalidIndex, meta, node));
+		});
+	}
+
+	// A function without parameter types gets the ones of the function type
+	// expected where it is used, if there is one
 	function readFunctionExpression(
-		node: AST.FunctionExpression
+		node: AST.FunctionExpression,
+		expected: ?AST.TypeInfo
 	): AST.FunctionType {
-		return readFunctionBase(node);
+		const types = node.parameter_types;
+		if (expected == null || types.list.length > 0 || !isAny(types.rest))
+			return readFunctionBase(node);
+		const singles = [...removeNil(expected).possibleTypes];
+		const f = singles.length === 1 ? singles[0] : null;
+		if (f == null || f.type !== "FunctionType" || f.type_parameters.length > 0)
+			return readFunctionBase(node);
+		return readFunctionBase(node, undefined, f.parameter_types);
 	}
 
 	function readIdentifier(node: AST.Identifier): AST.TypeInfo {
 		return getTypeFromScope(node.name);
 	}
 
-	function readIndexExpression(node: AST.IndexExpression): AST.TypeInfo {
+	// Entries of arrays and indexers are removed by assigning nil to them
+	function readIndexExpression(
+		node: AST.IndexExpression,
+		assigned: boolean = false
+	): AST.TypeInfo {
 		const type: AST.TypeInfo = firstType(readExpression(node.base));
-		readExpression(node.index);
+		const index: AST.TypeInfo = firstType(readExpression(node.index));
 		return joinTypes(
 			...[...type.possibleTypes].map(t => {
-				// TODO: This should be improved
-				if (t.type === "TableType") return any_type;
+				if (t.type === "ArrayType") {
+					if (!isNumber(index))
+						report(
+							astError(
+								errors.invalidArrayIndex,
+								meta,
+								node,
+								typeToString(index)
+							)
+						);
+					return assigned ? joinTypes(t.elementType, nil_type) : t.elementType;
+				}
+				if (t.type === "TupleType") {
+					if (!isNumber(index))
+						report(
+							astError(
+								errors.invalidArrayIndex,
+								meta,
+								node,
+								typeToString(index)
+							)
+						);
+					const types = t.elementTypes;
+					if (node.index.type !== "NumericLiteral")
+						return joinTypes(tupleValues(t), nil_type);
+					const type = getType(types, node.index.value - 1);
+					return isEmpty(type) ? nil_type : type;
+				}
+				if (t.type === "TableType") {
+					if (
+						node.index.type === "StringLiteral" &&
+						t.typeMap.has(node.index.value)
+					)
+						return fieldType(t, node.index.value);
+					const indexer = t.indexer;
+					// TODO: This should be improved
+					if (indexer == null) return any_type;
+					if (!isSupertype(indexer.key, index))
+						report(
+							astError(
+								errors.invalidKey,
+								meta,
+								node,
+								singleTypeToString(t),
+								typeToString(index)
+							)
+						);
+					return assigned ? joinTypes(indexer.value, nil_type) : indexer.value;
+				}
 				if (!isTable(singleToType(t)))
-					throw new Error("Can't index non-table.");
+					report(astError(errors.invalidIndex, meta, node));
 				return any_type;
 			})
 		);
 	}
 
 	function readMemberExpression(node: AST.MemberExpression): AST.TypeInfo {
-		const type: AST.TypeInfo = firstType(readExpression(node.base));
+		return readFieldType(
+			firstType(readExpression(node.base)),
+			node.identifier.name,
+			node
+		);
+	}
+
+	// Type of the field name of values of type type
+	function readFieldType(
+		type: AST.TypeInfo,
+		name: string,
+		node: { ...AST.LocationInfo }
+	): AST.TypeInfo {
 		return joinTypes(
 			...[...type.possibleTypes].map(t => {
-				if (t.type === "TableType")
-					return t.typeMap.get(node.identifier.name) || nil_type;
+				if (t.type === "TableType") return fieldType(t, name);
+				if (t.type === "ArrayType" || t.type === "TupleType") return nil_type;
 				if (!isTable(singleToType(t)))
-					throw new Error("Can't index non-table.");
+					report(astError(errors.invalidIndex, meta, node));
 				return any_type;
 			})
 		);
 	}
 
 	function readParenthesisExpression(
-		node: AST.ParenthesisExpression
+		node: AST.ParenthesisExpression,
+		expected: ?AST.TypeInfo
 	): AST.TypeInfo {
-		return firstType(readExpression(node.expression));
+		return firstType(readExpression(node.expression, expected));
 	}
 
-	function readExpression(node: AST.Expression): AST.TypeList {
+	// A cast can only change the type of a value to a type with values in
+	// common, like a supertype or a subtype
+	function readCastExpression(node: AST.CastExpression): AST.TypeInfo {
+		const type = firstType(readExpression(node.expression, node.typeInfo));
+		const overlaps = [...type.possibleTypes].some(a =>
+			[...node.typeInfo.possibleTypes].some(
+				b => isSupertypeSingle(a, b) || isSupertypeSingle(b, a)
+			)
+		);
+		if (!overlaps)
+			report(
+				astError(
+					errors.invalidCast,
+					meta,
+					node,
+					typeToString(type),
+					typeToString(node.typeInfo)
+				)
+			);
+		seal(type);
+		return node.typeInfo;
+	}
+
+	// expected is the type the value is assigned to, if known
+	function readExpression(
+		node: AST.Expression,
+		expected?: ?AST.TypeInfo
+	): AST.TypeList {
 		if (node.type === "VarargLiteral") return getVarargsTypes();
 		else if (
 			node.type === "StringLiteral" ||
@@ -625,15 +1998,17 @@ export function check(
 		else if (node.type === "TableCallExpression")
 			return readCallExpression(node);
 		else if (node.type === "TableConstructorExpression")
-			return typeListFromType(readTableConstructorExpression(node));
+			return typeListFromType(readTableConstructorExpression(node, expected));
 		else if (node.type === "FunctionExpression")
-			return typeListFromType(readFunctionExpression(node));
+			return typeListFromType(readFunctionExpression(node, expected));
 		else if (node.type === "MemberExpression")
 			return typeListFromType(readMemberExpression(node));
 		else if (node.type === "IndexExpression")
 			return typeListFromType(readIndexExpression(node));
 		else if (node.type === "ParenthesisExpression")
-			return typeListFromType(readParenthesisExpression(node));
+			return typeListFromType(readParenthesisExpression(node, expected));
+		else if (node.type === "CastExpression")
+			return typeListFromType(readCastExpression(node));
 		else throw new Error(`Unknown Expression Type '${node.type}'`);
 	}
 
@@ -647,7 +2022,9 @@ export function check(
 
 	function readLocalStatement(node: AST.LocalStatement): void {
 		const init_types = joinTypeLists(
-			node.init.map(expr => readExpression(expr))
+			node.init.map((expr, i) =>
+				readExpression(expr, getType(node.typeList, i))
+			)
 		);
 		const n: number = Math.max(
 			init_types.list.length,
@@ -664,32 +2041,86 @@ export function check(
 			const var_ = node.variables[i];
 			const type = getType(node.typeList, i);
 			const init_type = getType(init_types, i);
-			if (i >= node.typeList.list.length && i < init_types.list.length)
-				assignType(var_, init_type);
-			else assignType(var_, type);
+			if (i >= node.typeList.list.length && i < init_types.list.length) {
+				const widened = widen(init_type);
+				openTables(node.init[i], widened);
+				assignType(var_, widened);
+			} else {
+				seal(init_type);
+				assignType(var_, type);
+			}
 		}
 	}
 
+	// Metamethods are set on an open table after it is created, as in
+	// Class.__index = Class, without sealing the value
+	function isMetatableField(node: AST.Variable, base: AST.TypeInfo): boolean {
+		return (
+			node.type === "MemberExpression" &&
+			metamethod_names.has(node.identifier.name) &&
+			[...base.possibleTypes].some(t => t.type === "TableType" && isOpen(t))
+		);
+	}
+
+	// Whether name is not a field of an open table in type, and assigning it
+	// adds it
+	function isNewField(type: AST.TypeInfo, name: string): boolean {
+		return [...type.possibleTypes].some(
+			t => t.type === "TableType" && isOpen(t) && !t.typeMap.has(name)
+		);
+	}
+
 	function readAssignmentStatement(node: AST.AssignmentStatement): void {
+		const bases: Array<?AST.TypeInfo> = [];
+		const types: Array<?AST.TypeInfo> = node.variables.map((var_, i) => {
+			if (var_.type === "Identifier") return getDeclaredType(var_.name);
+			if (var_.type === "IndexExpression")
+				return widen(readIndexExpression(var_, true));
+			if (var_.type !== "MemberExpression") return widen(readVariable(var_));
+			const base = firstType(readExpression(var_.base));
+			const name = var_.identifier.name;
+			bases[i] = base;
+			if (isMetatableField(var_, base) || isNewField(base, name)) return null;
+			return widen(readFieldType(base, name, var_));
+		});
 		const init_types = joinTypeLists(
-			node.init.map(expr => readExpression(expr))
+			node.init.map((expr, i) => readExpression(expr, types[i]))
 		);
-		for (let i = 0; i < node.variables.length; i++) {
-			const type = readVariable(node.variables[i]);
+		node.variables.forEach((var_, i) => {
+			const type = types[i];
+			const base = bases[i];
 			const init_type = getType(init_types, i);
-			assertAssign(type, init_type, node);
-		}
+			if (var_.type === "MemberExpression" && base != null && type == null) {
+				const widened = widen(init_type);
+				if (!isMetatableField(var_, base)) seal(widened);
+				openTables(node.init[i], widened);
+				assignField(base, var_.identifier.name, widened, node);
+			} else if (type != null) {
+				seal(init_type);
+				assertAssign(type, init_type, node);
+			}
+			if (var_.type === "Identifier")
+				forgetNarrowings(getDeclaringScope(var_.name), var_.name);
+		});
 	}
 
 	function readCallStatement(node: AST.CallStatement): void {
 		readCallExpression(node.expression);
 	}
 
+	// Any value can be a condition, nil and false are falsy
+	function readCondition(node: AST.Expression): void {
+		const type: AST.TypeInfo = firstType(readExpression(node));
+		if (!canBeFalsy(type))
+			warn(
+				astError(errors.alwaysTruthyCondition, meta, node, typeToString(type))
+			);
+	}
+
 	function readWhileStatement(node: AST.WhileStatement): void {
-		const type: AST.TypeInfo = firstType(readExpression(node.condition));
-		if (!isBoolean(type))
-			throw new Error("While condition can't be non-boolean.");
+		readCondition(node.condition);
 		createScope();
+		narrow(node.condition, true);
 		readBlock(node.body);
 		destroyScope();
 	}
@@ -697,9 +2128,7 @@ export function check(
 	function readRepeatStatement(node: AST.RepeatStatement): void {
 		createScope();
 		readBlock(node.body);
-		const type: AST.TypeInfo = firstType(readExpression(node.condition));
-		if (!isBoolean(type))
-			throw new Error("Repeat condition can't be non-boolean.");
+		readCondition(node.condition);
 		destroyScope();
 	}
 
@@ -710,29 +2139,52 @@ export function check(
 	function readLabelStatement(node: AST.LabelStatement): void {}
 
 	function readReturnStatement(node: AST.ReturnStatement): void {
+		const scope = function_scopes[function_scopes.length - 1];
+		const return_types = scope.return_types;
 		const types: AST.TypeList = joinTypeLists(
-			node.args.map(arg => readExpression(arg))
+			node.args.map((arg, i) =>
+				readExpression(
+					arg,
+					return_types != null ? getType(return_types, i) : null
+				)
+			)
 		);
-		const return_types: AST.TypeList = getReturnTypes();
-		if (return_types && !isSupertypeList(return_types, types))
-			throw new Error(
-				`Return type is "${typeListToString(
-					types
-				)}" and should be "${typeListToString(return_types)}"`
+		sealList(types);
+		if (return_types == null) scope.returned.push(types);
+		else if (!isSupertypeList(return_types, types))
+			report(
+				astError(
+					errors.invalidReturn,
+					meta,
+					node,
+					typeListToString(types),
+					typeListToString(return_types)
+				)
 			);
 	}
 
+	// Each clause runs with the conditions of the previous clauses falsy. If
+	// only the path where all of them are falsy gets past the if, that holds
+	// after it too.
 	function readIfStatement(node: AST.IfStatement): void {
+		const falsy: Array<Narrowing> = [];
+		createScope();
 		node.clauses.forEach(clause => {
-			if (clause.type !== "ElseClause") {
-				const type: AST.TypeInfo = firstType(readExpression(clause.condition));
-				if (!isBoolean(type))
-					throw new Error("If condition can't be non-boolean.");
-			}
+			if (clause.type !== "ElseClause") readCondition(clause.condition);
 			createScope();
+			if (clause.type !== "ElseClause") narrow(clause.condition, true);
 			readBlock(clause.body);
 			destroyScope();
+			if (clause.type !== "ElseClause")
+				falsy.push(...narrow(clause.condition, false));
 		});
+		destroyScope();
+		if (
+			node.clauses.every(
+				clause => clause.type !== "ElseClause" && neverFallsThrough(clause.body)
+			)
+		)
+			falsy.forEach(n => addNarrowing(n));
 	}
 
 	function readDoStatement(node: AST.DoStatement): void {
@@ -744,24 +2196,51 @@ export function check(
 	// eslint-disable-next-line no-unused-vars
 	function readBreakStatement(node: AST.BreakStatement): void {}
 
+	function readForLimit(node: AST.Expression): void {
+		const type: AST.TypeInfo = firstType(readExpression(node));
+		if (!isNumber(type))
+			report(astError(errors.invalidForLimit, meta, node, typeToString(type)));
+	}
+
 	function readForNumericStatement(node: AST.ForNumericStatement): void {
-		const start_type: AST.TypeInfo = firstType(readExpression(node.start));
-		const end_type: AST.TypeInfo = firstType(readExpression(node.end));
-		const step_type: AST.TypeInfo =
-			node.step != null ? firstType(readExpression(node.step)) : any_type;
-		if (!isNumber(start_type) || !isNumber(end_type) || !isNumber(step_type))
-			throw new Error("NumericFor limits should be integers");
+		readForLimit(node.start);
+		readForLimit(node.end);
+		if (node.step != null) readForLimit(node.step);
 		createScope();
 		assignType(node.variable, number_type);
 		readBlock(node.body);
 		destroyScope();
 	}
 
+	// The loop calls the iterator function with the state and the control
+	// value, and the variables get the values it returns until the first one
+	// is nil
 	function readForGenericStatement(node: AST.ForGenericStatement): void {
-		// TODO: deal properly with types here
-		node.iterators.forEach(it => readExpression(it));
+		const types: AST.TypeList = joinTypeLists(
+			node.iterators.map(it => readExpression(it))
+		);
+		const iterator: AST.TypeInfo = firstType(types);
+		const args = ast.typeList([getType(types, 1), getType(types, 2)], nil_type);
+		const return_types: AST.TypeList = unionTypeLists(
+			[...iterator.possibleTypes].map(t => {
+				if (t.type === "FunctionType") return instantiate(t, args).return_types;
+				if (!isFunction(singleToType(t)))
+					report(
+						astError(
+							errors.cannotCall,
+							meta,
+							node.iterators[0],
+							typeToString(iterator)
+						)
+					);
+				return ast.typeList([], any_type);
+			})
+		);
 		createScope();
-		node.variables.forEach(var_ => assignType(var_, any_type));
+		node.variables.forEach((var_, i) => {
+			const type = widen(getType(return_types, i));
+			assignType(var_, i === 0 ? removeNil(type) : type);
+		});
 		readBlock(node.body);
 		destroyScope();
 	}
@@ -793,6 +2272,11 @@ export function check(
 			return readForGenericStatement(node);
 		else if (node.type === "DeclareStatement")
 			return readDeclareStatement(node);
+		else if (
+			node.type === "TypeAliasStatement" ||
+			node.type === "ErrorStatement"
+		)
+			return;
 		else throw new Error(`Unknown Statement Type '${node.type}'`);
 	}
 
@@ -805,6 +2289,9 @@ export function check(
 		createScope();
 		assignVarargsType(ast.typeList([], nil_type));
 		readBlock(node.body);
+		// the methods of tables never used as metatables, which can defer others
+		for (const [metatable] of early_methods)
+			readEarlyMethods(metatable, singleToType(metatable));
 		destroyScope();
 		destroyFunctionScope();
 	}
@@ -31,6 +31,7 @@ export interface Visitor {
 	MemberExpression?: expressionFuncs<AST.MemberExpression>;
 	IndexExpression?: expressionFuncs<AST.IndexExpression>;
 	ParenthesisExpression?: expressionFuncs<AST.ParenthesisExpression>;
+	CastExpression?: expressionFuncs<AST.CastExpression>;
 
 	// Statement
 	LocalStatement?: statementFuncs<AST.LocalStatement>;
@@ -44,6 +45,8 @@ export interface Visitor {
 	LabelStatement?: statementFuncs<AST.LabelStatement>;
 	BreakStatement?: statementFuncs<AST.BreakStatement>;
 	DeclareStatement?: statementFuncs<AST.DeclareStatement>;
+	TypeAliasStatement?: statementFuncs<AST.TypeAliasStatement>;
+	ErrorStatement?: statementFuncs<AST.ErrorStatement>;
 	ReturnStatement?: statementFuncs<AST.ReturnStatement>;
 	IfStatement?: statementFuncs<AST.IfStatement>;
 	DoStatement?: statementFuncs<AST.DoStatement>;
@@ -224,6 +227,7 @@ export function visit(ast_: AST.Chunk, visitors: Array<Visitor>): AST.Chunk {
 				node.index = readExpression(node.index);
 				break;
 			case "ParenthesisExpression":
+			case "CastExpression":
 				node.expression = readExpression(node.expression);
 				break;
 			default:
@@ -320,6 +324,8 @@ export function visit(ast_: AST.Chunk, visitors: Array<Visitor>): AST.Chunk {
 			case "LabelStatement":
 			case "BreakStatement":
 			case "DeclareStatement":
+			case "TypeAliasStatement":
+			case "ErrorStatement":
 				// terminal
 				break;
 			case "ReturnStatement":